@@ -0,0 +1,100 @@
+// Seed the bus/route/trip catalog with sample data for local development.
+// Usage: npm run seed [-- <days>]
+require('dotenv').config();
+
+const { connectDB, gracefulShutdown } = require('../src/config/dbConnect');
+const Bus = require('../src/models/Bus');
+const Route = require('../src/models/Route');
+const Trip = require('../src/models/Trip');
+
+const buses = [
+  {
+    busName: 'Orange Travels',
+    busType: 'AC Sleeper',
+    operatorName: 'Orange Tours & Travels',
+    registrationNumber: 'TS09UA1234',
+    rating: 4.4,
+    amenities: ['WiFi', 'Charging Point', 'Blanket', 'Water Bottle'],
+    totalSeats: 30
+  },
+  {
+    busName: 'VRL Travels',
+    busType: 'Non-AC Seater',
+    operatorName: 'VRL Logistics',
+    registrationNumber: 'KA25F5678',
+    rating: 3.9,
+    amenities: ['Charging Point'],
+    totalSeats: 40
+  },
+  {
+    busName: 'SRS Travels',
+    busType: 'AC Seater',
+    operatorName: 'SRS Travels',
+    registrationNumber: 'KA01AB4321',
+    rating: 4.1,
+    amenities: ['WiFi', 'Water Bottle'],
+    totalSeats: 36
+  }
+];
+
+// [from, to, distanceKm, duration in minutes, departure hours, base fare]
+const routes = [
+  ['Hyderabad', 'Bangalore', 570, 600, [21, 22], 1200],
+  ['Bangalore', 'Hyderabad', 570, 600, [20, 22], 1200],
+  ['Hyderabad', 'Chennai', 630, 660, [19], 1100],
+  ['Bangalore', 'Chennai', 350, 360, [6, 14, 23], 700]
+];
+
+const upsert = (Model, filter, data) => Model.findOneAndUpdate(
+  filter,
+  { $setOnInsert: data },
+  { upsert: true, new: true, setDefaultsOnInsert: true }
+);
+
+const seed = async (days) => {
+  await connectDB();
+
+  const busDocs = [];
+  for (const bus of buses) {
+    busDocs.push(await upsert(Bus, { registrationNumber: bus.registrationNumber }, bus));
+  }
+
+  let tripCount = 0;
+  for (const [index, [from, to, distanceKm, durationMinutes, hours, baseFare]] of routes.entries()) {
+    const route = await upsert(Route, { from, to }, { from, to, distanceKm });
+
+    for (let day = 0; day < days; day++) {
+      for (const [slot, hour] of hours.entries()) {
+        const bus = busDocs[(index + slot) % busDocs.length];
+        const departureAt = new Date();
+        departureAt.setDate(departureAt.getDate() + day);
+        departureAt.setHours(hour, 0, 0, 0);
+        if (departureAt <= new Date()) continue;
+
+        const arrivalAt = new Date(departureAt.getTime() + durationMinutes * 60000);
+        const existing = await Trip.findOne({ busId: bus.busId, departureAt });
+        if (existing) continue;
+
+        await new Trip({
+          busId: bus.busId,
+          routeId: route.routeId,
+          departureAt,
+          arrivalAt,
+          baseFare
+        }).save();
+        tripCount++;
+      }
+    }
+  }
+
+  console.log(`🌱 Seeded ${busDocs.length} buses, ${routes.length} routes and ${tripCount} new trips`);
+};
+
+const days = parseInt(process.argv[2], 10) || 7;
+
+seed(days)
+  .catch((error) => {
+    console.error('Seeding failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(gracefulShutdown);
@@ -0,0 +1,37 @@
+// Set a user's role from the command line, e.g. to create the first admin.
+// Usage: npm run set-role -- <email> <passenger|operator|admin>
+require('dotenv').config();
+
+const { connectDB, gracefulShutdown } = require('../src/config/dbConnect');
+const User = require('../src/models/User');
+const sessionManager = require('../src/config/sessions');
+const { ROLES } = require('../src/config/permissions');
+
+const setRole = async (email, role) => {
+  if (!email || !ROLES.includes(role)) {
+    throw new Error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+  }
+
+  await connectDB();
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { $set: { role } },
+    { new: true }
+  );
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+
+  // Existing sessions still carry the old role
+  await sessionManager.deleteAllForUser(user.id);
+
+  console.log(`✅ ${user.email} is now ${role}`);
+};
+
+setRole(process.argv[2], process.argv[3])
+  .catch((error) => {
+    console.error('Setting role failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(gracefulShutdown);
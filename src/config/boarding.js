@@ -0,0 +1,12 @@
+// When conductors may check passengers in at the bus door
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+module.exports = {
+  // Boarding opens this many minutes before departure
+  opensMinutesBefore: numberFromEnv('BOARDING_OPENS_MINUTES_BEFORE', 120),
+  // ...and closes this many minutes after it, to allow for late departures
+  closesMinutesAfter: numberFromEnv('BOARDING_CLOSES_MINUTES_AFTER', 180)
+};
@@ -0,0 +1,12 @@
+// Rules for rescheduling a booking or switching its seats
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+module.exports = {
+  // Flat fee charged for each change, in rupees
+  changeFee: numberFromEnv('BOOKING_CHANGE_FEE', 50),
+  // Changes close this many hours before the current trip departs
+  cutoffHours: numberFromEnv('BOOKING_CHANGE_CUTOFF_HOURS', 2)
+};
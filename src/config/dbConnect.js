@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { AppError } = require('../utils/errors');
 
 /**
  * Production-Ready MongoDB Connection Utility for Serverless Environments
@@ -117,6 +118,13 @@ const connectDB = async () => {
   return cached.conn;
 };
 
+// Validation failures and duplicate keys fail the same way on every attempt
+const isPermanentError = (error) => (
+  error instanceof mongoose.Error.ValidationError ||
+  error instanceof mongoose.Error.CastError ||
+  error.code === 11000
+);
+
 /**
  * Ensures database connection is established before executing operations
  * This is the main function you'll use in your API routes
@@ -147,6 +155,12 @@ const withConnection = async (operation, options = {}) => {
       return result;
       
     } catch (error) {
+      // Deliberate application errors (e.g. seat conflicts) and bad data are answers,
+      // not failures; retrying can't change them
+      if (error instanceof AppError || isPermanentError(error)) {
+        throw error;
+      }
+
       console.error(`Database operation attempt ${attempt + 1} failed:`, error.message);
       
       // If this is the last attempt, throw the error
@@ -0,0 +1,8 @@
+// Email verification settings
+module.exports = {
+  // REQUIRE_EMAIL_VERIFICATION=true stops unverified accounts from booking tickets.
+  // Off by default so accounts created before verification existed keep working.
+  required: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+  // Lifetime of verification links (jsonwebtoken duration, e.g. "24h")
+  tokenTtl: process.env.EMAIL_VERIFICATION_TTL || '24h'
+};
@@ -0,0 +1,9 @@
+// Seat hold settings for checkout
+module.exports = {
+  // How long seats stay reserved after a hold is created or extended
+  ttlMinutes: parseInt(process.env.HOLD_TTL_MINUTES, 10) || 10,
+  // How many times a passenger may extend a hold
+  maxExtensions: parseInt(process.env.HOLD_MAX_EXTENSIONS, 10) || 2,
+  // Largest number of seats a single hold may reserve
+  maxSeats: parseInt(process.env.HOLD_MAX_SEATS, 10) || 6
+};
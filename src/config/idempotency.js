@@ -0,0 +1,8 @@
+// Idempotency-Key settings for booking and payment requests
+module.exports = {
+  // How long a key (and the response stored for it) is remembered
+  ttlHours: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24,
+  // How long a request holds its key; a key left behind by a crashed request is free after this
+  lockSeconds: parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS, 10) || 60,
+  maxKeyLength: 255
+};
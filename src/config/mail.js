@@ -0,0 +1,14 @@
+const os = require('os');
+const path = require('path');
+
+// Outgoing mail settings
+// MAIL_TRANSPORT picks the transport: "file" (default) writes each message to MAIL_OUTBOX_DIR,
+// "console" prints it, "memory" (default under NODE_ENV=test) keeps messages in the process
+module.exports = {
+  transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'memory' : 'file'),
+  from: process.env.MAIL_FROM || 'BusTrek <no-reply@bustrek.app>',
+  // The OS temp dir is the only writable place on Vercel
+  outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'bustrek-outbox'),
+  // Front-end base URL used to build links in emails
+  appUrl: (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '')
+};
@@ -0,0 +1,32 @@
+const mailConfig = require('./mail');
+const createOutbox = require('./outbox');
+
+const outbox = createOutbox({
+  setting: 'MAIL_TRANSPORT',
+  config: mailConfig,
+  format: (message) => `📧 Mail to ${message.to}: ${message.subject}\n${message.text}`
+});
+
+const mailer = {
+  /**
+   * Send an email through the configured transport.
+   * @param {Object} params
+   * @param {string} params.to - Recipient address
+   * @param {string} params.subject - Subject line
+   * @param {string} params.text - Plain-text body
+   * @param {string} [params.html] - HTML body
+   * @returns {Promise<Object>} { messageId }
+   */
+  send: ({ to, subject, text, html }) => outbox.send({ to, subject, text, ...(html && { html }) }),
+
+  // Messages in the outbox (for development and testing)
+  list: outbox.list,
+
+  // Empty the outbox (for testing)
+  clear: outbox.clear,
+
+  // Swap the transport (e.g. for an SMTP or API-backed one)
+  useTransport: outbox.useTransport
+};
+
+module.exports = mailer;
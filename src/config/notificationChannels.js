@@ -0,0 +1,37 @@
+const notificationConfig = require('./notifications');
+const mailer = require('./mailer');
+const smsSender = require('./smsSender');
+
+// A channel is an object with:
+//   recipientFor(contact) -> address to send to, or null when the contact has none
+//   send({ to, subject, text }) -> { messageId }
+// contact is { name, email, phone }. Templates render a message for each channel by name.
+const channels = {
+  email: {
+    recipientFor: (contact) => contact.email || null,
+    send: ({ to, subject, text }) => mailer.send({ to, subject, text })
+  },
+  sms: {
+    recipientFor: (contact) => contact.phone || null,
+    send: ({ to, text }) => smsSender.send({ to, text })
+  }
+};
+
+const unknown = notificationConfig.channels.filter((name) => !channels[name]);
+if (unknown.length > 0) {
+  throw new Error(`Unknown NOTIFICATION_CHANNELS "${unknown.join(', ')}" (expected "email" and/or "sms")`);
+}
+
+const notificationChannels = {
+  // Channels notifications are sent on
+  enabled: () => notificationConfig.channels.map((name) => ({ name, ...channels[name] })),
+
+  get: (name) => channels[name],
+
+  // Add or replace a channel (e.g. push notifications, or a stub in tests)
+  useChannel: (name, channel) => {
+    channels[name] = channel;
+  }
+};
+
+module.exports = notificationChannels;
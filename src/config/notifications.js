@@ -0,0 +1,15 @@
+// Passenger notification settings
+module.exports = {
+  // NOTIFICATION_CHANNELS lists the channels messages go out on, e.g. "email" or "email,sms"
+  channels: (process.env.NOTIFICATION_CHANNELS || 'email,sms')
+    .split(',')
+    .map((channel) => channel.trim())
+    .filter(Boolean),
+  // How long before departure passengers get a trip reminder
+  reminderHoursBefore: parseInt(process.env.TRIP_REMINDER_HOURS_BEFORE, 10) || 24,
+  // Failed deliveries are retried with a doubling delay, starting at retryDelayMinutes
+  maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5,
+  retryDelayMinutes: 1,
+  // How long a delivery attempt keeps a notification to itself before another may try
+  sendTimeoutMinutes: 2
+};
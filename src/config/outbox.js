@@ -0,0 +1,53 @@
+const { v4: uuidv4 } = require('uuid');
+const createMemoryTransport = require('./outboxTransports/memoryTransport');
+const createFileTransport = require('./outboxTransports/fileTransport');
+const createConsoleTransport = require('./outboxTransports/consoleTransport');
+
+// A transport is any object with send(message) -> { messageId }; list() and clear()
+// are optional and used to read the outbox back
+const transportFactories = {
+  memory: createMemoryTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+/**
+ * Create the outbox a channel (mail, SMS) sends its messages through.
+ * @param {Object} params
+ * @param {string} params.setting - Environment variable that picks the transport, for errors
+ * @param {Object} params.config - Channel settings: { transport, from, outboxDir }
+ * @param {Function} params.format - Turns a message into the line the console transport prints
+ * @returns {Object} { send, list, clear, useTransport }
+ */
+const createOutbox = ({ setting, config, format }) => {
+  if (!transportFactories[config.transport]) {
+    throw new Error(`Unknown ${setting} "${config.transport}" (expected "file", "console" or "memory")`);
+  }
+
+  let transport = transportFactories[config.transport]({ ...config, format });
+
+  return {
+    // Send a message from the channel's sender; resolves to { messageId }
+    send: async (fields) => transport.send({
+      messageId: uuidv4(),
+      from: config.from,
+      ...fields,
+      createdAt: new Date()
+    }),
+
+    // Messages in the outbox (for development and testing)
+    list: async () => (transport.list ? transport.list() : []),
+
+    // Empty the outbox (for testing)
+    clear: async () => {
+      if (transport.clear) await transport.clear();
+    },
+
+    // Swap the transport
+    useTransport: (newTransport) => {
+      transport = newTransport;
+    }
+  };
+};
+
+module.exports = createOutbox;
@@ -0,0 +1,10 @@
+// Prints each message to the server log instead of sending it; format turns a message
+// into the line to print
+const createConsoleTransport = ({ format }) => ({
+  send: async (message) => {
+    console.log(format(message));
+    return { messageId: message.messageId };
+  }
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,40 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// File outbox: every message is written to its own JSON file, so messages can be read
+// without an SMTP server or SMS gateway
+const createFileTransport = ({ outboxDir }) => {
+  const fileFor = (message) => path.join(
+    outboxDir,
+    `${message.createdAt.toISOString().replace(/[:.]/g, '-')}-${message.messageId}.json`
+  );
+
+  return {
+    send: async (message) => {
+      await fs.mkdir(outboxDir, { recursive: true });
+      await fs.writeFile(fileFor(message), JSON.stringify(message, null, 2));
+      return { messageId: message.messageId };
+    },
+
+    // Messages sent so far, oldest first
+    list: async () => {
+      let files;
+      try {
+        files = (await fs.readdir(outboxDir)).filter((file) => file.endsWith('.json')).sort();
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      return Promise.all(files.map(async (file) => (
+        JSON.parse(await fs.readFile(path.join(outboxDir, file), 'utf8'))
+      )));
+    },
+
+    clear: async () => {
+      await fs.rm(outboxDir, { recursive: true, force: true });
+    }
+  };
+};
+
+module.exports = createFileTransport;
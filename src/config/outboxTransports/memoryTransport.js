@@ -0,0 +1,21 @@
+// In-memory outbox. Messages are lost on restart, so this is meant for tests and
+// local development only.
+const createMemoryTransport = () => {
+  const messages = [];
+
+  return {
+    send: async (message) => {
+      messages.push(message);
+      return { messageId: message.messageId };
+    },
+
+    // Messages sent so far, oldest first
+    list: async () => messages.map((message) => ({ ...message })),
+
+    clear: async () => {
+      messages.length = 0;
+    }
+  };
+};
+
+module.exports = createMemoryTransport;
@@ -0,0 +1,47 @@
+const paymentConfig = require('./payments');
+const createMockProvider = require('./paymentProviders/mockProvider');
+
+// A provider is an object with:
+//   name
+//   authorise({ amount, currency, paymentMethod, reference }) -> { providerPaymentId, status: 'authorised' | 'declined', reason }
+//   capture({ providerPaymentId, amount, reference }) -> { status: 'captured' | 'failed', reason }
+//   cancel({ providerPaymentId, reference }) -> { status: 'cancelled' }, releasing an uncaptured authorisation
+//   refund({ providerPaymentId, amount, reason, reference }) -> { providerRefundId, status: 'succeeded' | 'pending' | 'failed', reason }
+//   verifyWebhook(rawBody, headers) -> event { id, type, data } or null if the signature doesn't check out
+// Amounts are in rupees. reference is our paymentId (or refundId) and comes back in webhook data.
+// Webhook event types: payment.authorised, payment.captured, payment.failed, refund.succeeded, refund.failed
+const providerFactories = {
+  mock: createMockProvider
+};
+
+if (!providerFactories[paymentConfig.provider]) {
+  throw new Error(`Unknown PAYMENT_PROVIDER "${paymentConfig.provider}" (expected "mock")`);
+}
+
+let provider = providerFactories[paymentConfig.provider](paymentConfig);
+
+const paymentGateway = {
+  get name() {
+    return provider.name;
+  },
+
+  authorise: (params) => provider.authorise(params),
+
+  capture: (params) => provider.capture(params),
+
+  cancel: (params) => provider.cancel(params),
+
+  refund: (params) => provider.refund(params),
+
+  verifyWebhook: (rawBody, headers) => provider.verifyWebhook(rawBody, headers),
+
+  // The active provider (e.g. to sign mock webhooks in development)
+  getProvider: () => provider,
+
+  // Swap the provider (for testing, or a real gateway)
+  useProvider: (newProvider) => {
+    provider = newProvider;
+  }
+};
+
+module.exports = paymentGateway;
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// Local stand-in for a card gateway. Payment methods are test tokens that pick the
+// outcome. Payments are remembered in the process only, so this is meant for
+// development and tests.
+const TEST_PAYMENT_METHODS = {
+  pm_mock_success: { outcome: 'success' },
+  pm_mock_declined: { outcome: 'declined', reason: 'card_declined' },
+  pm_mock_insufficient_funds: { outcome: 'declined', reason: 'insufficient_funds' },
+  pm_mock_capture_fails: { outcome: 'capture_fails', reason: 'processing_error' }
+};
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const sign = (secret, timestamp, payload) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${payload}`)
+  .digest('hex');
+
+// "t=<unix seconds>,v1=<hex hmac>"
+const parseSignatureHeader = (header) => {
+  const parts = Object.fromEntries(String(header || '')
+    .split(',')
+    .map((part) => part.trim().split('='))
+    .filter((pair) => pair.length === 2));
+  const timestamp = parseInt(parts.t, 10);
+  return Number.isFinite(timestamp) && parts.v1 ? { timestamp, signature: parts.v1 } : null;
+};
+
+const createMockProvider = (settings) => {
+  const payments = new Map();
+
+  // Sign an event the way the gateway would; returns the body and headers of the callback
+  const signWebhook = (event, timestamp = Math.floor(Date.now() / 1000)) => {
+    const body = JSON.stringify(event);
+    return {
+      body,
+      headers: {
+        'content-type': 'application/json',
+        [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(settings.webhookSecret, timestamp, body)}`
+      }
+    };
+  };
+
+  // Post a signed callback to MOCK_PAYMENT_WEBHOOK_URL, like a real gateway would
+  const emit = (type, data) => {
+    if (!settings.mockWebhookUrl) return;
+
+    const { body, headers } = signWebhook({ id: `evt_mock_${uuidv4()}`, type, createdAt: new Date(), data });
+    fetch(settings.mockWebhookUrl, { method: 'POST', headers, body })
+      .catch((error) => console.error('Mock payment webhook error:', error.message));
+  };
+
+  return {
+    name: 'mock',
+
+    authorise: async ({ amount, currency, paymentMethod, reference }) => {
+      const method = TEST_PAYMENT_METHODS[paymentMethod];
+      const providerPaymentId = `mock_pay_${uuidv4()}`;
+
+      if (!method || method.outcome === 'declined') {
+        const reason = method ? method.reason : 'invalid_payment_method';
+        emit('payment.failed', { providerPaymentId, reference, amount, reason });
+        return { providerPaymentId, status: 'declined', reason };
+      }
+
+      payments.set(providerPaymentId, { amount, currency, method, status: 'authorised', refunded: 0 });
+      emit('payment.authorised', { providerPaymentId, reference, amount });
+      return { providerPaymentId, status: 'authorised' };
+    },
+
+    capture: async ({ providerPaymentId, amount, reference }) => {
+      const payment = payments.get(providerPaymentId);
+      if (!payment || payment.status !== 'authorised') {
+        return { status: 'failed', reason: 'not_authorised' };
+      }
+      if (payment.method.outcome === 'capture_fails' || amount > payment.amount) {
+        const reason = payment.method.reason || 'amount_exceeds_authorisation';
+        payment.status = 'failed';
+        emit('payment.failed', { providerPaymentId, reference, amount, reason });
+        return { status: 'failed', reason };
+      }
+
+      payment.status = 'captured';
+      payment.captured = amount;
+      emit('payment.captured', { providerPaymentId, reference, amount });
+      return { status: 'captured' };
+    },
+
+    cancel: async ({ providerPaymentId }) => {
+      const payment = payments.get(providerPaymentId);
+      if (payment && payment.status === 'authorised') {
+        payment.status = 'cancelled';
+      }
+      return { status: 'cancelled' };
+    },
+
+    refund: async ({ providerPaymentId, amount, reference }) => {
+      const providerRefundId = `mock_re_${uuidv4()}`;
+      const payment = payments.get(providerPaymentId);
+
+      // Payments from before a restart are unknown here; refund them anyway
+      if (payment && payment.refunded + amount > payment.captured + 0.001) {
+        emit('refund.failed', { providerPaymentId, providerRefundId, reference, amount, reason: 'amount_exceeds_captured' });
+        return { providerRefundId, status: 'failed', reason: 'amount_exceeds_captured' };
+      }
+
+      if (payment) payment.refunded += amount;
+      emit('refund.succeeded', { providerPaymentId, providerRefundId, reference, amount });
+      return { providerRefundId, status: 'succeeded' };
+    },
+
+    // Check a callback's signature and age; returns the event, or null if it isn't genuine
+    verifyWebhook: (rawBody, headers) => {
+      const parsed = parseSignatureHeader(headers[SIGNATURE_HEADER]);
+      if (!parsed) return null;
+
+      const age = Math.abs(Date.now() / 1000 - parsed.timestamp);
+      if (age > settings.webhookToleranceSeconds) return null;
+
+      const expected = Buffer.from(sign(settings.webhookSecret, parsed.timestamp, rawBody.toString('utf8')));
+      const received = Buffer.from(parsed.signature);
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+      }
+
+      try {
+        return JSON.parse(rawBody.toString('utf8'));
+      } catch (error) {
+        return null;
+      }
+    },
+
+    signWebhook,
+
+    TEST_PAYMENT_METHODS
+  };
+};
+
+module.exports = createMockProvider;
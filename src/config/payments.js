@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const pricing = require('./pricing');
+
+// Payment settings
+// PAYMENT_PROVIDER picks the gateway; "mock" (the default) is a local stand-in that
+// needs no account or network access.
+// PAYMENT_WEBHOOK_SECRET signs webhook callbacks. Without it a random per-process secret
+// is used, which only works for callbacks sent by the mock provider in the same process.
+if (!process.env.PAYMENT_WEBHOOK_SECRET && process.env.NODE_ENV === 'production') {
+  console.warn('⚠️  PAYMENT_WEBHOOK_SECRET is not set; using a random secret for this process');
+}
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+module.exports = {
+  provider: process.env.PAYMENT_PROVIDER || 'mock',
+  currency: pricing.currency,
+  // New bookings keep their seats this long while waiting for payment
+  windowMinutes: numberFromEnv('PAYMENT_WINDOW_MINUTES', 15),
+  // Seats stay reserved at least this long once a payment is authorised, so they
+  // can't be lost while the capture is in flight
+  captureGraceMinutes: 2,
+  webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex'),
+  // Webhooks signed longer ago than this are rejected as replays
+  webhookToleranceSeconds: 5 * 60,
+  // Where the mock provider posts its webhook callbacks, e.g.
+  // http://localhost:5000/api/v1/payments/webhooks/mock (none are sent if unset)
+  mockWebhookUrl: process.env.MOCK_PAYMENT_WEBHOOK_URL || null
+};
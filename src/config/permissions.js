@@ -0,0 +1,34 @@
+// Roles and what they may do. Routes declare permissions, never roles, via requirePermission.
+const ROLES = ['passenger', 'operator', 'admin'];
+
+const passenger = [
+  'bookings:create',
+  'bookings:manage:own',
+  'holds:manage:own',
+  'waitlist:manage:own'
+];
+
+const operator = [
+  ...passenger,
+  'catalog:manage',
+  'trips:manifest'
+];
+
+const rolePermissions = {
+  passenger,
+  operator,
+  // Admins can do everything, including the admin-only users:manage, bookings:manage:any and promos:manage
+  admin: ['*']
+};
+
+// Check whether a role grants a permission
+const hasPermission = (role, permission) => {
+  const granted = rolePermissions[role] || [];
+  return granted.includes('*') || granted.includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  rolePermissions,
+  hasPermission
+};
@@ -0,0 +1,21 @@
+// Fare settings. Amounts are in rupees.
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+module.exports = {
+  currency: 'INR',
+  // Seat fare = trip base fare x multiplier for the seat type
+  seatTypeMultipliers: {
+    seater: 1,
+    'semi-sleeper': numberFromEnv('FARE_SEMI_SLEEPER_MULTIPLIER', 1.15),
+    sleeper: numberFromEnv('FARE_SLEEPER_MULTIPLIER', 1.3)
+  },
+  // GST charged on the seat fares
+  taxRate: numberFromEnv('FARE_TAX_RATE', 0.05),
+  // Flat fee charged once per booking
+  bookingFee: numberFromEnv('FARE_BOOKING_FEE', 20),
+  // Largest difference tolerated between a client's quoted total and the server total
+  quoteTolerance: 0.01
+};
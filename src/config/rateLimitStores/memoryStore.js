@@ -0,0 +1,39 @@
+// In-memory rate limit store. Counters are per process, so limits are only exact
+// when a single instance is running.
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  return {
+    // Count a hit in the key's current window, starting a new window if it is over
+    increment: async (key, windowMs, now) => {
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: new Date(now.getTime() + windowMs) };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { ...counter };
+    },
+
+    reset: async (key) => {
+      counters.delete(key);
+    },
+
+    destroyExpired: async (now) => {
+      let count = 0;
+      for (const [key, counter] of counters) {
+        if (counter.resetAt <= now) {
+          counters.delete(key);
+          count++;
+        }
+      }
+      return count;
+    },
+
+    clear: async () => {
+      counters.clear();
+    }
+  };
+};
+
+module.exports = createMemoryStore;
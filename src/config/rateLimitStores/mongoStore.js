@@ -0,0 +1,52 @@
+const RateLimit = require('../../models/RateLimit');
+const { withConnection } = require('../dbConnect');
+
+const DUPLICATE_KEY = 11000;
+
+// MongoDB-backed rate limit store; counters are shared by every instance
+const createMongoStore = () => {
+  // One atomic upsert: continue the current window or start a new one
+  const incrementOnce = (key, windowMs, now) => {
+    const windowOpen = { $gt: ['$resetAt', now] };
+    return RateLimit.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+        }
+      }],
+      { upsert: true, new: true, lean: true }
+    );
+  };
+
+  return {
+    increment: (key, windowMs, now) => withConnection(async () => {
+      let counter;
+      try {
+        counter = await incrementOnce(key, windowMs, now);
+      } catch (error) {
+        // Two first hits raced to create the counter; the loser updates the winner's
+        if (error.code !== DUPLICATE_KEY) throw error;
+        counter = await incrementOnce(key, windowMs, now);
+      }
+      return { count: counter.count, resetAt: counter.resetAt };
+    }, { retries: 0 }),
+
+    reset: (key) => withConnection(async () => {
+      await RateLimit.deleteOne({ key });
+    }),
+
+    // The TTL index removes old counters on its own; this is for explicit sweeps
+    destroyExpired: (now) => withConnection(async () => {
+      const result = await RateLimit.deleteMany({ resetAt: { $lte: now } });
+      return result.deletedCount;
+    }),
+
+    clear: () => withConnection(async () => {
+      await RateLimit.deleteMany({});
+    })
+  };
+};
+
+module.exports = createMongoStore;
@@ -0,0 +1,59 @@
+const settings = require('./rateLimits');
+const createMemoryStore = require('./rateLimitStores/memoryStore');
+const createMongoStore = require('./rateLimitStores/mongoStore');
+
+const storeFactories = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+if (!storeFactories[settings.store]) {
+  throw new Error(`Unknown RATE_LIMIT_STORE "${settings.store}" (expected "mongo" or "memory")`);
+}
+
+let store = storeFactories[settings.store]();
+
+const rateLimiter = {
+  /**
+   * Count one hit against a limit.
+   * @param {string} key - Limiter name and subject, e.g. "login:ip:1.2.3.4"
+   * @param {Object} limit - { windowMs, max }
+   * @returns {Promise<Object>} { allowed, limit, remaining, resetAt, retryAfterSeconds }
+   */
+  hit: async (key, { windowMs, max }) => {
+    const now = new Date();
+    const { count, resetAt } = await store.increment(key, windowMs, now);
+
+    return {
+      allowed: count <= max,
+      limit: max,
+      remaining: Math.max(0, max - count),
+      resetAt,
+      retryAfterSeconds: Math.max(1, Math.ceil((new Date(resetAt) - now) / 1000))
+    };
+  },
+
+  // Forget a key's hits (e.g. after a successful login)
+  reset: async (key) => {
+    await store.reset(key);
+  },
+
+  // Remove finished windows; returns how many were removed
+  cleanup: async () => {
+    return store.destroyExpired(new Date());
+  },
+
+  // Clear all counters (for testing)
+  clear: async () => {
+    await store.clear();
+  },
+
+  // Swap the backing store (for testing)
+  useStore: (newStore) => {
+    store = newStore;
+  },
+
+  settings
+};
+
+module.exports = rateLimiter;
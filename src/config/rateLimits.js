@@ -0,0 +1,34 @@
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Request limits for expensive or sensitive routes. Each limiter counts hits per key
+// (client IP, or the account the request is about) within a fixed window.
+// RATE_LIMIT_STORE picks where counters live: "mongo" (default) or "memory" (default under NODE_ENV=test)
+module.exports = {
+  store: process.env.RATE_LIMIT_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'mongo'),
+  // RATE_LIMIT_ENABLED=false turns every limiter off (e.g. for load tests)
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+
+  limits: {
+    loginByIp: { windowMs: 15 * MINUTE, max: 20 },
+    loginByAccount: { windowMs: 15 * MINUTE, max: 10 },
+    signupByIp: { windowMs: HOUR, max: 5 },
+    refreshByIp: { windowMs: 15 * MINUTE, max: 60 },
+    forgotPasswordByIp: { windowMs: HOUR, max: 5 },
+    forgotPasswordByAccount: { windowMs: HOUR, max: 3 },
+    resetPasswordByIp: { windowMs: HOUR, max: 10 },
+    verifyEmailByIp: { windowMs: HOUR, max: 20 },
+    resendVerificationByAccount: { windowMs: HOUR, max: 3 },
+    // Routes that re-check the current password (change password, delete account)
+    passwordConfirmByAccount: { windowMs: HOUR, max: 10 }
+  },
+
+  // Progressive lockout after repeated failed logins to one account: once
+  // failedAttempts reach threshold, each further failure locks the account for
+  // baseLockMs doubled per extra failure, up to maxLockMs
+  lockout: {
+    threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5,
+    baseLockMs: MINUTE,
+    maxLockMs: HOUR
+  }
+};
@@ -0,0 +1,34 @@
+// Cancellation refund rules.
+// Tiers are matched top to bottom: the first tier whose minHoursBeforeDeparture the
+// cancellation still meets decides the refund. Override with REFUND_POLICY, e.g.
+// REFUND_POLICY='[{"minHoursBeforeDeparture":48,"refundPercent":100},{"minHoursBeforeDeparture":0,"refundPercent":25}]'
+const defaultTiers = [
+  { minHoursBeforeDeparture: 24, refundPercent: 100 },
+  { minHoursBeforeDeparture: 0, refundPercent: 50 }
+];
+
+const loadTiers = () => {
+  if (!process.env.REFUND_POLICY) return defaultTiers;
+
+  try {
+    const tiers = JSON.parse(process.env.REFUND_POLICY);
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+      throw new Error('REFUND_POLICY must be a non-empty array');
+    }
+    return tiers
+      .map(({ minHoursBeforeDeparture, refundPercent }) => ({
+        minHoursBeforeDeparture: Number(minHoursBeforeDeparture),
+        refundPercent: Math.min(100, Math.max(0, Number(refundPercent)))
+      }))
+      .sort((a, b) => b.minHoursBeforeDeparture - a.minHoursBeforeDeparture);
+  } catch (error) {
+    console.error('❌ Invalid REFUND_POLICY, using the default policy:', error.message);
+    return defaultTiers;
+  }
+};
+
+module.exports = {
+  tiers: loadTiers(),
+  // The booking fee is kept by default; REFUND_BOOKING_FEE=true refunds it when a whole booking is cancelled
+  refundBookingFee: process.env.REFUND_BOOKING_FEE === 'true'
+};
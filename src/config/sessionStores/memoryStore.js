@@ -0,0 +1,87 @@
+// How many rotated-out token hashes each session remembers for reuse detection
+const MAX_PREVIOUS_HASHES = 100;
+
+// In-memory session store. Sessions are lost on restart, so this is meant for tests
+// and single-process development only.
+const createMemoryStore = () => {
+  const sessions = new Map();
+
+  const copy = (session) => (session ? { ...session, previousTokenHashes: [...session.previousTokenHashes] } : null);
+
+  return {
+    save: async (session) => {
+      sessions.set(session.tokenHash, { previousTokenHashes: [], ...session });
+    },
+
+    find: async (tokenHash) => copy(sessions.get(tokenHash)),
+
+    findByPreviousHash: async (tokenHash) => {
+      for (const session of sessions.values()) {
+        if (session.previousTokenHashes.includes(tokenHash)) {
+          return copy(session);
+        }
+      }
+      return null;
+    },
+
+    touch: async (tokenHash, { lastSeenAt, idleExpiresAt }) => {
+      const session = sessions.get(tokenHash);
+      if (session) {
+        Object.assign(session, { lastSeenAt, idleExpiresAt });
+      }
+    },
+
+    // Replace the current token hash, only if it is still the current one
+    rotate: async (tokenHash, newTokenHash, { lastSeenAt, idleExpiresAt }) => {
+      const session = sessions.get(tokenHash);
+      if (!session) return null;
+
+      sessions.delete(tokenHash);
+      Object.assign(session, { tokenHash: newTokenHash, lastSeenAt, idleExpiresAt });
+      session.previousTokenHashes = [...session.previousTokenHashes, tokenHash].slice(-MAX_PREVIOUS_HASHES);
+      sessions.set(newTokenHash, session);
+      return copy(session);
+    },
+
+    destroy: async (tokenHash) => sessions.delete(tokenHash),
+
+    destroyById: async (sessionId) => {
+      for (const [tokenHash, session] of sessions) {
+        if (session.sessionId === sessionId) {
+          return sessions.delete(tokenHash);
+        }
+      }
+      return false;
+    },
+
+    destroyByUser: async (userId) => {
+      let count = 0;
+      for (const [tokenHash, session] of sessions) {
+        if (session.userId === userId) {
+          sessions.delete(tokenHash);
+          count++;
+        }
+      }
+      return count;
+    },
+
+    destroyExpired: async (now) => {
+      let count = 0;
+      for (const [tokenHash, session] of sessions) {
+        if (session.expiresAt <= now || session.idleExpiresAt <= now) {
+          sessions.delete(tokenHash);
+          count++;
+        }
+      }
+      return count;
+    },
+
+    getAll: async () => Array.from(sessions.values()).map(copy),
+
+    clear: async () => {
+      sessions.clear();
+    }
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,79 @@
+const Session = require('../../models/Session');
+const { withConnection } = require('../dbConnect');
+
+// How many rotated-out token hashes each session remembers for reuse detection
+const MAX_PREVIOUS_HASHES = 100;
+
+const toSession = (doc) => (doc ? {
+  sessionId: doc.sessionId,
+  tokenHash: doc.tokenHash,
+  previousTokenHashes: doc.previousTokenHashes || [],
+  userId: doc.userId,
+  email: doc.email,
+  role: doc.role,
+  createdAt: doc.createdAt,
+  lastSeenAt: doc.lastSeenAt,
+  expiresAt: doc.expiresAt,
+  idleExpiresAt: doc.idleExpiresAt
+} : null);
+
+// MongoDB-backed session store; sessions survive restarts and serverless cold starts
+const createMongoStore = () => ({
+  save: (session) => withConnection(async () => {
+    await Session.create(session);
+  }),
+
+  find: (tokenHash) => withConnection(async () => toSession(await Session.findOne({ tokenHash }).lean())),
+
+  findByPreviousHash: (tokenHash) => withConnection(async () => (
+    toSession(await Session.findOne({ previousTokenHashes: tokenHash }).lean())
+  )),
+
+  touch: (tokenHash, { lastSeenAt, idleExpiresAt }) => withConnection(async () => {
+    await Session.updateOne({ tokenHash }, { $set: { lastSeenAt, idleExpiresAt } });
+  }),
+
+  // Replace the current token hash in one atomic update, so of two concurrent
+  // refreshes with the same token only one can win
+  rotate: (tokenHash, newTokenHash, { lastSeenAt, idleExpiresAt }) => withConnection(async () => (
+    toSession(await Session.findOneAndUpdate(
+      { tokenHash },
+      {
+        $set: { tokenHash: newTokenHash, lastSeenAt, idleExpiresAt },
+        $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_HASHES } }
+      },
+      { new: true, lean: true }
+    ))
+  )),
+
+  destroy: (tokenHash) => withConnection(async () => {
+    const result = await Session.deleteOne({ tokenHash });
+    return result.deletedCount > 0;
+  }),
+
+  destroyById: (sessionId) => withConnection(async () => {
+    const result = await Session.deleteOne({ sessionId });
+    return result.deletedCount > 0;
+  }),
+
+  destroyByUser: (userId) => withConnection(async () => {
+    const result = await Session.deleteMany({ userId });
+    return result.deletedCount;
+  }),
+
+  // The TTL index removes idle sessions on its own; this also catches absolute expiry
+  destroyExpired: (now) => withConnection(async () => {
+    const result = await Session.deleteMany({
+      $or: [{ expiresAt: { $lte: now } }, { idleExpiresAt: { $lte: now } }]
+    });
+    return result.deletedCount;
+  }),
+
+  getAll: () => withConnection(async () => (await Session.find().lean()).map(toSession)),
+
+  clear: () => withConnection(async () => {
+    await Session.deleteMany({});
+  })
+});
+
+module.exports = createMongoStore;
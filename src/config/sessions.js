@@ -1,43 +1,175 @@
-// In-memory session storage
-// In production, you'd want to use Redis or store in database
-const sessions = new Map();
+const { v4: uuidv4 } = require('uuid');
+const { generateToken, hashToken } = require('../utils/secureTokens');
+const createMemoryStore = require('./sessionStores/memoryStore');
+const createMongoStore = require('./sessionStores/mongoStore');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Login sessions. Each session backs one refresh token family: the session token is the
+// refresh token, and it is replaced on every refresh.
+// SESSION_STORE picks the backing store: "mongo" (default) or "memory" (default under NODE_ENV=test)
+const settings = {
+  store: process.env.SESSION_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'mongo'),
+  // Sessions end this long after login, however active they are
+  absoluteTtlMs: (parseFloat(process.env.SESSION_ABSOLUTE_TTL_HOURS) || 24 * 7) * HOUR,
+  // Sessions end after this long without a request
+  idleTtlMs: (parseFloat(process.env.SESSION_IDLE_TTL_MINUTES) || 24 * 60) * MINUTE,
+  // Renew the idle window at most this often, so not every request is a write
+  touchIntervalMs: MINUTE
+};
+
+const storeFactories = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+if (!storeFactories[settings.store]) {
+  throw new Error(`Unknown SESSION_STORE "${settings.store}" (expected "mongo" or "memory")`);
+}
+
+let store = storeFactories[settings.store]();
+
+const isExpired = (session, now) => session.expiresAt <= now || session.idleExpiresAt <= now;
+
+const idleExpiryFrom = (now, expiresAt) => new Date(
+  Math.min(now.getTime() + settings.idleTtlMs, new Date(expiresAt).getTime())
+);
 
 const sessionManager = {
-  // Create a new session
-  create: (userId, email) => {
-    const sessionToken = require('uuid').v4();
-    sessions.set(sessionToken, {
+  // Create a new session; returns its token and the session
+  create: async (userId, email, role = 'passenger') => {
+    const token = generateToken();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + settings.absoluteTtlMs);
+
+    const session = {
+      sessionId: uuidv4(),
+      tokenHash: hashToken(token),
+      previousTokenHashes: [],
       userId,
       email,
-      createdAt: new Date()
+      role,
+      createdAt: now,
+      lastSeenAt: now,
+      expiresAt,
+      idleExpiresAt: idleExpiryFrom(now, expiresAt)
+    };
+    await store.save(session);
+
+    return { token, session };
+  },
+
+  // Get a live session by token, renewing its idle window (null if missing or expired)
+  get: async (token) => {
+    if (!token) return null;
+
+    const tokenHash = hashToken(token);
+    const session = await store.find(tokenHash);
+    if (!session) return null;
+
+    const now = new Date();
+    if (isExpired(session, now)) {
+      await store.destroy(tokenHash);
+      return null;
+    }
+
+    // Sliding renewal
+    if (now - session.lastSeenAt >= settings.touchIntervalMs) {
+      session.lastSeenAt = now;
+      session.idleExpiresAt = idleExpiryFrom(now, session.expiresAt);
+      await store.touch(tokenHash, session);
+    }
+
+    return session;
+  },
+
+  /**
+   * Swap a session token for a new one (refresh token rotation).
+   * Presenting a token that was already rotated out means it was copied, so the
+   * whole session is revoked.
+   * @param {string} token - Current session token
+   * @returns {Promise<Object>} { token, session } on success, { reuseDetected: true } on reuse, or null
+   */
+  rotate: async (token) => {
+    if (!token) return null;
+
+    const tokenHash = hashToken(token);
+    const session = await store.find(tokenHash);
+
+    if (!session) {
+      const leaked = await store.findByPreviousHash(tokenHash);
+      if (leaked) {
+        await store.destroyById(leaked.sessionId);
+        return { reuseDetected: true, session: leaked };
+      }
+      return null;
+    }
+
+    const now = new Date();
+    if (isExpired(session, now)) {
+      await store.destroy(tokenHash);
+      return null;
+    }
+
+    const newToken = generateToken();
+    const rotated = await store.rotate(tokenHash, hashToken(newToken), {
+      lastSeenAt: now,
+      idleExpiresAt: idleExpiryFrom(now, session.expiresAt)
     });
-    return sessionToken;
+
+    // Another request rotated the same token first: that is reuse too
+    if (!rotated) {
+      await store.destroyById(session.sessionId);
+      return { reuseDetected: true, session };
+    }
+
+    return { token: newToken, session: rotated };
   },
 
-  // Get session by token
-  get: (token) => {
-    return sessions.get(token);
+  // Delete session by token
+  delete: async (token) => {
+    if (!token) return false;
+    return store.destroy(hashToken(token));
   },
 
-  // Delete session
-  delete: (token) => {
-    return sessions.delete(token);
+  // Delete session by ID (e.g. from an access token's sid claim)
+  deleteById: async (sessionId) => {
+    if (!sessionId) return false;
+    return store.destroyById(sessionId);
   },
 
-  // Check if session exists
-  has: (token) => {
-    return sessions.has(token);
+  // Check if a live session exists
+  has: async (token) => {
+    return Boolean(await sessionManager.get(token));
+  },
+
+  // End every session of a user (e.g. after a password change)
+  deleteAllForUser: async (userId) => {
+    return store.destroyByUser(userId);
+  },
+
+  // Remove expired sessions; returns how many were removed
+  cleanup: async () => {
+    return store.destroyExpired(new Date());
   },
 
   // Get all sessions (for debugging)
-  getAll: () => {
-    return Array.from(sessions.entries());
+  getAll: async () => {
+    return store.getAll();
   },
 
   // Clear all sessions (for testing)
-  clear: () => {
-    sessions.clear();
-  }
+  clear: async () => {
+    await store.clear();
+  },
+
+  // Swap the backing store (for testing)
+  useStore: (newStore) => {
+    store = newStore;
+  },
+
+  settings
 };
 
 module.exports = sessionManager;
@@ -0,0 +1,13 @@
+const os = require('os');
+const path = require('path');
+
+// Outgoing SMS settings
+// SMS_TRANSPORT picks the transport: "file" (default) writes each message to SMS_OUTBOX_DIR,
+// "console" prints it, "memory" (default under NODE_ENV=test) keeps messages in the process
+module.exports = {
+  transport: process.env.SMS_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'memory' : 'file'),
+  // Sender ID shown on the handset
+  from: process.env.SMS_FROM || 'BUSTRK',
+  // The OS temp dir is the only writable place on Vercel
+  outboxDir: process.env.SMS_OUTBOX_DIR || path.join(os.tmpdir(), 'bustrek-sms-outbox')
+};
@@ -0,0 +1,30 @@
+const smsConfig = require('./sms');
+const createOutbox = require('./outbox');
+
+const outbox = createOutbox({
+  setting: 'SMS_TRANSPORT',
+  config: smsConfig,
+  format: (message) => `📱 SMS to ${message.to} from ${message.from}: ${message.text}`
+});
+
+const smsSender = {
+  /**
+   * Send a text message through the configured transport.
+   * @param {Object} params
+   * @param {string} params.to - Recipient phone number
+   * @param {string} params.text - Message text
+   * @returns {Promise<Object>} { messageId }
+   */
+  send: ({ to, text }) => outbox.send({ to, text }),
+
+  // Messages in the outbox (for development and testing)
+  list: outbox.list,
+
+  // Empty the outbox (for testing)
+  clear: outbox.clear,
+
+  // Swap the transport (e.g. for an SMS gateway)
+  useTransport: outbox.useTransport
+};
+
+module.exports = smsSender;
@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+// Signing secrets. Tokens signed by one instance are checked by others and after restarts
+// (printed tickets for weeks), so production refuses to start without them. Elsewhere a
+// random per-process secret is used, and everything signed with it stops working on restart.
+const secretFromEnv = (name) => {
+  if (process.env[name]) return process.env[name];
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${name} must be set in production`);
+  }
+  console.warn(`⚠️  ${name} is not set; using a random secret for this process`);
+  return crypto.randomBytes(32).toString('hex');
+};
+
+module.exports = {
+  // JWT_SECRET signs access tokens and email verification links
+  jwtSecret: secretFromEnv('JWT_SECRET'),
+  // TICKET_SIGNING_SECRET signs the QR codes on e-tickets; kept apart so it can outlive
+  // a JWT_SECRET rotation without invalidating tickets already printed
+  ticketSecret: secretFromEnv('TICKET_SIGNING_SECRET'),
+  // Lifetime of access tokens (jsonwebtoken duration, e.g. "15m"). authGuard doesn't look
+  // sessions up, so this is also how long a token keeps working after logout, a password
+  // change, a role change or account deletion ends its session
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  // How long a password reset link stays valid
+  passwordResetTtlMinutes: parseFloat(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+  issuer: 'bustrek-api'
+};
@@ -0,0 +1,5 @@
+// Waitlist settings for sold-out trips
+module.exports = {
+  // How long seats offered to the next person on the waitlist stay held for them
+  offerMinutes: parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 30
+};
@@ -0,0 +1,77 @@
+const User = require('../models/User');
+const sessionManager = require('../config/sessions');
+const { withConnection } = require('../config/dbConnect');
+const { AppError } = require('../utils/errors');
+
+const toUserSummary = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  createdAt: user.createdAt
+});
+
+// Requests are validated against validation/adminSchemas.js before these run
+const adminController = {
+  // List users, newest first (?role=&limit=&skip=)
+  listUsers: async (req, res, next) => {
+    try {
+      const { role, limit = 50, skip = 0 } = req.query;
+      const filter = role ? { role } : {};
+
+      let users, total;
+      await withConnection(async () => {
+        [users, total] = await Promise.all([
+          User.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+          User.countDocuments(filter)
+        ]);
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          total,
+          users: users.map(toUserSummary)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Change a user's role; their sessions end, so the new role applies from the next login.
+  // Access tokens already issued keep the old role until they expire (ACCESS_TOKEN_TTL).
+  updateUserRole: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { role } = req.body;
+
+      if (id === req.user.id) {
+        throw new AppError('You cannot change your own role', 400);
+      }
+
+      let user;
+      await withConnection(async () => {
+        user = await User.findOneAndUpdate({ id }, { $set: { role } }, { new: true });
+      });
+
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      await sessionManager.deleteAllForUser(user.id);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'User role updated successfully',
+        data: toUserSummary(user)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = adminController;
@@ -1,29 +1,35 @@
 const User = require('../models/User');
 const sessionManager = require('../config/sessions');
+const authTokens = require('../services/authTokens');
+const passwordReset = require('../services/passwordReset');
+const emailVerification = require('../services/emailVerification');
+const accountService = require('../services/accountService');
+const loginProtection = require('../services/loginProtection');
 const { withConnection } = require('../config/dbConnect');
+const { AppError } = require('../utils/errors');
 
+const toUserProfile = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  createdAt: user.createdAt
+});
+
+// Requests are validated against validation/authSchemas.js before these run
 const authController = {
   // Signup
-  signup: async (req, res) => {
+  signup: async (req, res, next) => {
     try {
       const { name, email, password } = req.body;
 
-      // Validate required fields
-      if (!name || !email || !password) {
-        return res.status(400).json({
-          success: false,
-          message: 'Name, email, and password are required'
-        });
-      }
-
       await withConnection(async () => {
         // Check if user already exists
         const existingUser = await User.findOne({ email });
         if (existingUser) {
-          return res.status(409).json({
-            success: false,
-            message: 'User with this email already exists'
-          });
+          throw new AppError('User with this email already exists', 409, undefined, 'EMAIL_TAKEN');
         }
 
         // Create new user
@@ -35,67 +41,63 @@ const authController = {
 
         await user.save();
 
-        // Generate session token
-        const sessionToken = sessionManager.create(user.id, user.email);
+        // A failed email shouldn't fail signup; the user can ask for another
+        try {
+          await emailVerification.sendVerification(user);
+        } catch (error) {
+          console.error('Verification email error:', error);
+        }
+
+        // Start a session and issue access and refresh tokens
+        const tokens = await authTokens.issueTokens(user);
 
         res.status(201).json({
           success: true,
-          message: 'User created successfully',
+          message: 'User created successfully; check your email to verify your address',
           data: {
             user: {
               id: user.id,
               name: user.name,
-              email: user.email
+              email: user.email,
+              role: user.role,
+              emailVerified: user.emailVerified
             },
-            sessionToken
+            ...tokens
           }
         });
       });
 
     } catch (error) {
-      console.error('Signup error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-        error: error.message
-      });
+      next(error);
     }
   },
 
   // Login
-  login: async (req, res) => {
+  login: async (req, res, next) => {
     try {
       const { email, password } = req.body;
 
-      // Validate required fields
-      if (!email || !password) {
-        return res.status(400).json({
-          success: false,
-          message: 'Email and password are required'
-        });
-      }
-
       await withConnection(async () => {
         // Find user by email
         const user = await User.findOne({ email });
         if (!user) {
-          return res.status(401).json({
-            success: false,
-            message: 'Invalid email or password'
-          });
+          throw new AppError('Invalid email or password', 401, undefined, 'INVALID_CREDENTIALS');
         }
 
+        // A locked account is refused before spending a bcrypt comparison on it
+        loginProtection.assertNotLocked(user);
+
         // Check password
         const isPasswordValid = await user.comparePassword(password);
         if (!isPasswordValid) {
-          return res.status(401).json({
-            success: false,
-            message: 'Invalid email or password'
-          });
+          await loginProtection.recordFailedLogin(user);
+          throw new AppError('Invalid email or password', 401, undefined, 'INVALID_CREDENTIALS');
         }
 
-        // Generate session token
-        const sessionToken = sessionManager.create(user.id, user.email);
+        await loginProtection.recordSuccessfulLogin(user);
+
+        // Start a session and issue access and refresh tokens
+        const tokens = await authTokens.issueTokens(user);
 
         res.status(200).json({
           success: true,
@@ -104,31 +106,123 @@ const authController = {
             user: {
               id: user.id,
               name: user.name,
-              email: user.email
+              email: user.email,
+              role: user.role,
+              emailVerified: user.emailVerified
             },
-            sessionToken
+            ...tokens
           }
         });
       });
 
     } catch (error) {
-      console.error('Login error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-        error: error.message
+      next(error);
+    }
+  },
+
+  // Exchange a refresh token for a new token pair (the refresh token rotates)
+  refresh: async (req, res, next) => {
+    try {
+      const tokens = await authTokens.refreshTokens(req.body.refreshToken);
+
+      res.status(200).json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: tokens
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Email a password reset link
+  forgotPassword: async (req, res, next) => {
+    try {
+      await withConnection(async () => {
+        await passwordReset.requestPasswordReset(req.body.email);
+      });
+
+      // Same answer whether or not the account exists
+      res.status(200).json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Set a new password with a reset token; signs the user out everywhere
+  resetPassword: async (req, res, next) => {
+    try {
+      const { token, password } = req.body;
+
+      await withConnection(async () => {
+        await passwordReset.resetPassword(token, password);
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Password reset successful; please log in with your new password'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Confirm an email address with the token from the verification link
+  verifyEmail: async (req, res, next) => {
+    try {
+      let user;
+      await withConnection(async () => {
+        user = await emailVerification.verifyEmail(req.body.token);
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Email verified successfully',
+        data: {
+          email: user.email,
+          emailVerified: user.emailVerified,
+          emailVerifiedAt: user.emailVerifiedAt
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Send the authenticated user another verification link
+  resendVerification: async (req, res, next) => {
+    try {
+      await withConnection(async () => {
+        const user = await User.findOne({ id: req.user.id });
+        if (!user) {
+          throw new AppError('User not found', 404);
+        }
+        await emailVerification.sendVerification(user);
       });
+
+      res.status(200).json({
+        success: true,
+        message: 'Verification email sent'
+      });
+
+    } catch (error) {
+      next(error);
     }
   },
 
   // Logout
-  logout: async (req, res) => {
+  logout: async (req, res, next) => {
     try {
-      const sessionToken = req.headers.authorization?.replace('Bearer ', '');
-      
-      if (sessionToken && sessionManager.has(sessionToken)) {
-        sessionManager.delete(sessionToken);
-      }
+      // End the session behind the access token; its refresh token stops working.
+      // The access token itself stays valid until it expires.
+      await sessionManager.deleteById(req.user.sessionId);
 
       res.status(200).json({
         success: true,
@@ -136,57 +230,113 @@ const authController = {
       });
 
     } catch (error) {
-      console.error('Logout error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-        error: error.message
-      });
+      next(error);
     }
   },
 
   // Get current user profile
-  getProfile: async (req, res) => {
+  getProfile: async (req, res, next) => {
     try {
-      const sessionToken = req.headers.authorization?.replace('Bearer ', '');
-      const session = sessionManager.get(sessionToken);
+      let user;
+      await withConnection(async () => {
+        user = await User.findOne({ id: req.user.id });
+      });
 
-      if (!session) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid session'
-        });
+      if (!user) {
+        throw new AppError('User not found', 404);
       }
 
+      res.status(200).json({
+        success: true,
+        data: {
+          user: toUserProfile(user)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Update the authenticated user's name and/or phone
+  updateProfile: async (req, res, next) => {
+    try {
+      const { name, phone } = req.body;
+
+      let user;
       await withConnection(async () => {
-        const user = await User.findOne({ id: session.userId });
-        if (!user) {
-          return res.status(404).json({
-            success: false,
-            message: 'User not found'
-          });
+        user = await accountService.updateProfile(req.user.id, { name, phone });
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Profile updated successfully',
+        data: {
+          user: toUserProfile(user)
         }
+      });
 
-        res.status(200).json({
-          success: true,
-          data: {
-            user: {
-              id: user.id,
-              name: user.name,
-              email: user.email,
-              createdAt: user.createdAt
-            }
-          }
-        });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Change password; other devices are signed out and this one gets fresh tokens
+  changePassword: async (req, res, next) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      let tokens;
+      await withConnection(async () => {
+        const user = await accountService.changePassword(req.user.id, currentPassword, newPassword);
+        tokens = await authTokens.issueTokens(user);
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Password changed successfully',
+        data: tokens
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Download everything stored about the authenticated user as JSON
+  exportData: async (req, res, next) => {
+    try {
+      let data;
+      await withConnection(async () => {
+        data = await accountService.exportData(req.user.id);
       });
 
+      res.attachment(`bustrek-data-${req.user.id}.json`);
+      res.status(200).json(data);
+
     } catch (error) {
-      console.error('Get profile error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-        error: error.message
+      next(error);
+    }
+  },
+
+  // Delete the authenticated user's account (requires their password)
+  deleteAccount: async (req, res, next) => {
+    try {
+      let anonymisedBookings;
+      await withConnection(async () => {
+        anonymisedBookings = await accountService.deleteAccount(req.user.id, req.body.password);
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Account deleted successfully',
+        data: {
+          anonymisedBookings
+        }
       });
+
+    } catch (error) {
+      next(error);
     }
   }
 };
@@ -0,0 +1,69 @@
+const boarding = require('../services/boarding');
+const { withConnection } = require('../config/dbConnect');
+const { AppError } = require('../utils/errors');
+
+// Requests are validated against validation/tripSchemas.js before these run
+const boardingController = {
+  // Check a passenger's seats in at the bus door by scanned ticket or booking ID
+  checkIn: async (req, res, next) => {
+    try {
+      const { tripId } = req.params;
+      const { ticket, bookingId, seats } = req.body;
+
+      // Separate from the manifest read, so a failure there doesn't repeat the check-in
+      let result, manifest;
+      await withConnection(async () => {
+        result = await boarding.checkIn({
+          tripId,
+          ticket,
+          bookingId,
+          seats,
+          boardedBy: req.user.id
+        });
+      });
+      await withConnection(async () => {
+        manifest = await boarding.getManifest(tripId);
+      });
+
+      const { booking, boardedSeats } = result;
+
+      res.status(200).json({
+        status: 'success',
+        message: `Boarded seat(s) ${boardedSeats.join(', ')}`,
+        data: {
+          bookingId: booking.bookingId,
+          boardedSeats,
+          passengers: booking.passengers.filter((passenger) => boardedSeats.includes(passenger.seatNumber)),
+          manifest
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get the trip manifest: who has and hasn't boarded
+  getManifest: async (req, res, next) => {
+    try {
+      let manifest;
+      await withConnection(async () => {
+        manifest = await boarding.getManifest(req.params.tripId);
+      });
+
+      if (!manifest) {
+        throw new AppError('Trip not found', 404);
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: manifest
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = boardingController;
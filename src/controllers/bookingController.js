@@ -1,261 +1,340 @@
+const { v4: uuidv4 } = require('uuid');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
-const sessionManager = require('../config/sessions');
+const bookingService = require('../services/bookingService');
+const bookingHistory = require('../services/bookingHistory');
+const eTicket = require('../services/eTicket');
+const paymentService = require('../services/paymentService');
+const notificationService = require('../services/notificationService');
+const waitlistService = require('../services/waitlistService');
+const emailVerification = require('../services/emailVerification');
 const { withConnection } = require('../config/dbConnect');
+const { AppError } = require('../utils/errors');
+const { hasPermission } = require('../config/permissions');
 
-const bookingController = {
-  // Book a bus ticket
-  bookTicket: async (req, res) => {
-    try {
-      // Get user information from the authenticated token
-      const authHeader = req.headers.authorization;
-      
-      if (!authHeader) {
-        return res.status(401).json({
-          status: 'error',
-          message: 'Access denied. No token provided.'
-        });
-      }
+// Respond with a page of a user's bookings, filtered and sorted as the query asks
+const sendBookingHistory = async (res, userId, query) => {
+  let user, result;
+  await withConnection(async () => {
+    user = await User.findOne({ id: userId });
+    if (!user) return;
 
-      // Extract token from "Bearer <token>"
-      const token = authHeader.startsWith('Bearer ') 
-        ? authHeader.slice(7) 
-        : authHeader;
+    result = await bookingHistory.listBookings(user, query);
+  });
 
-      if (!token) {
-        return res.status(401).json({
-          status: 'error',
-          message: 'Access denied. Invalid token format.'
-        });
-      }
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
 
-      // Get session from token
-      const session = sessionManager.get(token);
-      if (!session) {
-        return res.status(401).json({
-          status: 'error',
-          message: 'Access denied. Invalid token.'
-        });
-      }
+  // Return the booking history (empty array if no bookings match)
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email
+      },
+      bookings: result.bookings,
+      page: result.page
+    }
+  });
+};
 
-      // Get user details from database using session (using custom id field, not _id)
+// Load a booking the authenticated user may act on; someone else's booking looks missing
+const findAccessibleBooking = async (bookingId, user) => {
+  const booking = await Booking.findOne({ bookingId });
+  if (!booking || !bookingService.canAccessBooking(booking, user)) {
+    throw new AppError('Booking not found', 404);
+  }
+  return booking;
+};
+
+// Requests are validated against validation/bookingSchemas.js before these run
+const bookingController = {
+  // Book a bus ticket
+  bookTicket: async (req, res, next) => {
+    try {
+      // Get user details from database using the authenticated user (using custom id field, not _id)
       let user;
       await withConnection(async () => {
-        user = await User.findOne({ id: session.userId });
+        user = await User.findOne({ id: req.user.id });
       });
-      
+
       if (!user) {
-        return res.status(404).json({
-          status: 'error',
-          message: 'User not found'
-        });
+        throw new AppError('User not found', 404);
+      }
+
+      if (!emailVerification.canBook(user)) {
+        throw new AppError('Please verify your email address before booking', 403, undefined, 'EMAIL_NOT_VERIFIED');
       }
 
       const {
-        busId,
+        tripId,
+        holdId,
         selectedSeats,
         passengerDetails,
-        journeyDetails,
-        busDetails,
+        passengers,
+        phone,
+        promoCode,
         totalAmount,
         bookingTime
       } = req.body;
 
-      // Create userDetails object from authenticated user (override with passengerDetails if provided)
+      // Contact details default to the authenticated user's; the email always is theirs
       const userDetails = {
         name: passengerDetails?.name || user.name,
-        email: user.email, // Always use authenticated user's email
-        phone: passengerDetails?.phone || user.phone || req.body.phone
+        email: user.email,
+        phone: phone || passengerDetails?.phone || user.phone
       };
 
-      // Validate required fields
-      if (!selectedSeats || !Array.isArray(selectedSeats) || selectedSeats.length === 0) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Selected seats are required and must be a non-empty array'
-        });
+      if (!userDetails.phone) {
+        throw new AppError('Phone number is required for booking', 400, undefined, 'PHONE_REQUIRED');
       }
 
-      // Validate phone if not provided in user profile
-      if (!userDetails.phone && !req.body.phone) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Phone number is required for booking'
+      // Bus and journey details come from the trip catalog, never from the client.
+      // The ID is picked once so a retried attempt finds the booking instead of making another.
+      const bookingId = uuidv4();
+      let booking;
+      await withConnection(async () => {
+        booking = await bookingService.createBooking({
+          bookingId,
+          user,
+          tripId,
+          holdId,
+          selectedSeats,
+          userDetails,
+          passengers,
+          promoCode,
+          totalAmount,
+          bookingTime
         });
-      }
+      });
 
-      // Update userDetails with phone if provided in request
-      if (req.body.phone) {
-        userDetails.phone = req.body.phone;
-      }
+      await withConnection(() => notificationService.notifyBooking('booking_created', booking));
 
-      // Validate bus details - allow for different structures
-      if (!busDetails || !busDetails.busName || !busDetails.busType) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Bus details are incomplete. Required: busName, busType'
-        });
-      }
+      res.status(201).json({
+        status: 'success',
+        message: 'Booking created; pay before paymentExpiresAt to confirm it',
+        bookingId: booking.bookingId,
+        bookingStatus: booking.status,
+        paymentExpiresAt: booking.paymentExpiresAt,
+        selectedSeats: booking.selectedSeats,
+        passengers: booking.passengers,
+        totalAmount: booking.totalAmount,
+        fareBreakdown: booking.fareBreakdown,
+        promoCode: booking.promo?.code
+      });
 
-      // Add missing fields with default values if not provided
-      const completeBusDetails = {
-        busName: busDetails.busName,
-        duration: busDetails.duration || journeyDetails?.departureTime && journeyDetails?.arrivalTime ? 'Calculated' : 'N/A',
-        busType: busDetails.busType,
-        departureTime: journeyDetails?.departureTime || busDetails.departureTime || 'N/A',
-        arrivalTime: journeyDetails?.arrivalTime || busDetails.arrivalTime || 'N/A',
-        price: busDetails.price || Math.round(totalAmount / selectedSeats.length),
-        rating: busDetails.rating || 4.0,
-        amenities: busDetails.amenities || ['Basic'],
-        totalSeats: busDetails.totalSeats || 40,
-        busId: busId || busDetails.busId || 'unknown'
-      };
+    } catch (error) {
+      next(error);
+    }
+  },
 
-      if (!journeyDetails || !journeyDetails.from || !journeyDetails.to || !journeyDetails.date) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Journey details (from, to, date) are required'
-        });
-      }
+  // Get booking history for user by ID (the user themselves or an admin)
+  getBookingHistory: async (req, res, next) => {
+    try {
+      const { id } = req.params;
 
-      if (!totalAmount || totalAmount <= 0) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Total amount is required and must be greater than 0'
-        });
+      if (id !== req.user.id && !hasPermission(req.user.role, 'bookings:manage:any')) {
+        throw new AppError('You can only view your own bookings', 403);
       }
 
-      // Email is already validated from the authenticated user
+      await sendBookingHistory(res, id, req.query);
 
-      // Validate phone format (basic validation)
-      const phoneRegex = /^[0-9]{10,15}$/;
-      if (!phoneRegex.test(userDetails.phone.replace(/\D/g, ''))) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Please provide a valid phone number'
-        });
-      }
+    } catch (error) {
+      next(error);
+    }
+  },
 
-      // Create new booking using MongoDB
-      const bookingData = {
-        selectedSeats,
-        userDetails,
-        busDetails: completeBusDetails,
-        journeyDetails,
-        totalAmount,
-        bookingTime: bookingTime ? new Date(bookingTime) : new Date()
-      };
+  // Get the authenticated user's booking history
+  getMyBookings: async (req, res, next) => {
+    try {
+      await sendBookingHistory(res, req.user.id, req.query);
+    } catch (error) {
+      next(error);
+    }
+  },
 
+  // Get booking by ID (its owner or an admin)
+  getBookingById: async (req, res, next) => {
+    try {
       let booking;
       await withConnection(async () => {
-        booking = new Booking(bookingData);
-        await booking.save();
+        booking = await findAccessibleBooking(req.params.bookingId, req.user);
       });
 
-      res.status(201).json({
+      res.status(200).json({
         status: 'success',
-        message: 'Booking successfully created',
-        bookingId: booking.bookingId
+        data: booking
       });
 
     } catch (error) {
-      console.error('Booking error:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Internal server error',
-        error: error.message
-      });
+      next(error);
     }
   },
 
-  // Get booking history for user by ID
-  getBookingHistory: async (req, res) => {
+  // Download the e-ticket PDF for a booking (its owner or an admin)
+  getTicketPdf: async (req, res, next) => {
     try {
-      const { id } = req.params;
+      let booking;
+      await withConnection(async () => {
+        booking = await findAccessibleBooking(req.params.bookingId, req.user);
+      });
 
-      // Validate user ID parameter
-      if (!id) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'User ID is required'
-        });
+      if (booking.status === 'pending_payment') {
+        throw new AppError('Pay for this booking to get its ticket', 409, undefined, 'PAYMENT_PENDING');
+      }
+      if (!Booking.TICKETED_STATUSES.includes(booking.status)) {
+        throw new AppError(`This booking is ${booking.status}`, 410);
       }
 
-      // Get user details from database using the provided user ID
-      let user, bookings;
+      const pdf = await eTicket.renderTicketPdf(booking);
+
+      res.type('application/pdf');
+      res.attachment(`bustrek-ticket-${booking.bookingId}.pdf`);
+      res.status(200).send(pdf);
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Pay for a booking that is waiting for payment; it is confirmed once the payment succeeds
+  payForBooking: async (req, res, next) => {
+    try {
+      // Picked once so a retried attempt can't charge twice
+      const paymentId = uuidv4();
+      let result;
       await withConnection(async () => {
-        user = await User.findOne({ id: id });
-        if (!user) {
-          return res.status(404).json({
-            status: 'error',
-            message: 'User not found'
-          });
-        }
+        // Only the passenger who made the booking (or an admin) may pay for it
+        const booking = await findAccessibleBooking(req.params.bookingId, req.user);
 
-        // Find bookings by user's email using MongoDB
-        bookings = await Booking.find({ 'userDetails.email': user.email })
-          .sort({ bookingTime: -1 }); // Sort by booking time descending (newest first)
+        result = await paymentService.payForBooking({
+          booking,
+          paymentMethod: req.body.paymentMethod,
+          paymentId
+        });
       });
 
-      // Return the booking history (empty array if no bookings found)
+      const { booking, payment } = result;
+
       res.status(200).json({
         status: 'success',
+        message: 'Payment successful; booking confirmed',
         data: {
-          user: {
-            id: user.id,
-            name: user.name,
-            email: user.email
-          },
-          bookings: bookings
+          bookingId: booking.bookingId,
+          bookingStatus: booking.status,
+          selectedSeats: booking.selectedSeats,
+          passengers: booking.passengers,
+          payment: paymentService.toPaymentSummary(payment)
         }
       });
 
     } catch (error) {
-      console.error('Get booking history error:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Internal server error',
-        error: error.message
-      });
+      next(error);
     }
   },
 
-  // Get booking by ID (bonus endpoint)
-  getBookingById: async (req, res) => {
+  // Cancel a whole booking or selected seats
+  cancelBooking: async (req, res, next) => {
     try {
-      const { bookingId } = req.params;
+      const { seats, reason } = req.body;
+      // Picked once so a retried attempt finds the cancellation it already made
+      const cancellationId = uuidv4();
 
-      if (!bookingId) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Booking ID is required'
-        });
+      let booking, cancellation;
+      await withConnection(async () => {
+        // Only the passenger who made the booking (or an admin) may cancel it
+        const found = await findAccessibleBooking(req.params.bookingId, req.user);
+
+        ({ booking, cancellation } = await bookingService.cancelBooking({
+          cancellationId,
+          booking: found,
+          seats,
+          reason,
+          cancelledBy: req.user.id
+        }));
+      });
+
+      await withConnection(() => notificationService.notifyBooking('booking_cancelled', booking, {
+        key: String(booking.cancellations.length),
+        cancellation
+      }));
+      // The freed seats go to the trip's waitlist first
+      if (booking.tripId) {
+        await withConnection(() => waitlistService.promoteWaitlist(booking.tripId));
       }
 
-      let booking;
-      await withConnection(async () => {
-        booking = await Booking.findOne({ bookingId: bookingId });
+      res.status(200).json({
+        status: 'success',
+        message: Booking.CLOSED_STATUSES.includes(booking.status)
+          ? 'Booking cancelled successfully'
+          : 'Seats cancelled successfully',
+        data: {
+          bookingId: booking.bookingId,
+          status: booking.status,
+          cancelledSeats: cancellation.seats,
+          remainingSeats: booking.selectedSeats,
+          passengers: booking.passengers,
+          refundPercent: cancellation.refundPercent,
+          refundAmount: cancellation.refundAmount,
+          refundStatus: cancellation.refundStatus,
+          totalRefunded: booking.refundAmount
+        }
       });
 
-      if (!booking) {
-        return res.status(404).json({
-          status: 'error',
-          message: 'Booking not found'
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Move a booking to another trip on the same route and/or change its seats
+  modifyBooking: async (req, res, next) => {
+    try {
+      const { tripId, seats, passengers, dryRun } = req.body;
+      // Picked once so a retried attempt finds the change it already made
+      const changeId = uuidv4();
+
+      let booking, result;
+      await withConnection(async () => {
+        // Only the passenger who made the booking (or an admin) may change it
+        booking = await findAccessibleBooking(req.params.bookingId, req.user);
+
+        result = await bookingService.modifyBooking({
+          changeId,
+          booking,
+          tripId,
+          seats,
+          passengers,
+          changedBy: req.user.id,
+          dryRun: dryRun === true
         });
+      });
+
+      if (dryRun !== true) {
+        await withConnection(() => notificationService.notifyBooking('booking_changed', booking, {
+          key: String(booking.changes.length),
+          change: result.change
+        }));
+        await withConnection(() => waitlistService.promoteWaitlist(result.change.from.tripId));
       }
 
       res.status(200).json({
         status: 'success',
-        data: booking
+        message: dryRun === true ? 'Change quote calculated' : 'Booking changed successfully',
+        data: {
+          bookingId: booking.bookingId,
+          tripId: result.change.to.tripId,
+          selectedSeats: result.change.to.seats,
+          passengers: result.passengers,
+          fareBreakdown: result.fareBreakdown,
+          change: result.change
+        }
       });
 
     } catch (error) {
-      console.error('Get booking by ID error:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Internal server error',
-        error: error.message
-      });
+      next(error);
     }
   }
 };
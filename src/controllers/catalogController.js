@@ -0,0 +1,121 @@
+const Bus = require('../models/Bus');
+const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const { withConnection } = require('../config/dbConnect');
+const { AppError } = require('../utils/errors');
+
+// Pick only the listed fields from a request body
+const pick = (body, fields) => Object.fromEntries(
+  fields.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+);
+
+// Requests are validated against validation/adminSchemas.js before these run
+const catalogController = {
+  // Add a bus to the catalog
+  createBus: async (req, res, next) => {
+    try {
+      let bus;
+      await withConnection(async () => {
+        bus = new Bus(pick(req.body, [
+          'busName',
+          'busType',
+          'operatorName',
+          'registrationNumber',
+          'rating',
+          'amenities',
+          'totalSeats',
+          'seatLayout',
+          'defaultSeatType'
+        ]));
+        await bus.save();
+      });
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Bus created successfully',
+        data: bus
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Add a route between two cities
+  createRoute: async (req, res, next) => {
+    try {
+      let route;
+      await withConnection(async () => {
+        route = new Route(pick(req.body, ['from', 'to', 'distanceKm']));
+        await route.save();
+      });
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Route created successfully',
+        data: route
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Schedule a trip for a bus on a route
+  createTrip: async (req, res, next) => {
+    try {
+      const { busId, routeId } = req.body;
+
+      let trip;
+      await withConnection(async () => {
+        const [bus, route] = await Promise.all([
+          Bus.findOne({ busId }),
+          Route.findOne({ routeId })
+        ]);
+        if (!bus || !route) {
+          throw new AppError(`${!bus ? 'Bus' : 'Route'} not found`, 400);
+        }
+
+        trip = new Trip(pick(req.body, ['busId', 'routeId', 'departureAt', 'arrivalAt', 'baseFare']));
+        await trip.save();
+      });
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Trip scheduled successfully',
+        data: trip
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Change a trip's status (e.g. cancel or mark departed)
+  updateTripStatus: async (req, res, next) => {
+    try {
+      const { tripId } = req.params;
+      const { status } = req.body;
+
+      let trip;
+      await withConnection(async () => {
+        trip = await Trip.findOneAndUpdate({ tripId }, { $set: { status } }, { new: true });
+      });
+
+      if (!trip) {
+        throw new AppError('Trip not found', 404);
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Trip status updated successfully',
+        data: trip
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = catalogController;
@@ -0,0 +1,106 @@
+const holdService = require('../services/holdService');
+const waitlistService = require('../services/waitlistService');
+const bookingService = require('../services/bookingService');
+const seatInventory = require('../services/seatInventory');
+const pricing = require('../services/pricing');
+const bookingController = require('./bookingController');
+const { withConnection } = require('../config/dbConnect');
+
+// Requests are validated against validation/holdSchemas.js before these run
+const holdController = {
+  // Hold seats on a trip while the passenger checks out
+  createHold: async (req, res, next) => {
+    try {
+      const { tripId, seats } = req.body;
+
+      let hold, fareBreakdown;
+      await withConnection(async () => {
+        const { trip, bus } = await bookingService.getBookableTrip(tripId);
+        const normalizedSeats = seatInventory.normalizeSeats(bus, seats);
+        hold = await holdService.createHold({
+          userId: req.user.id,
+          trip,
+          seats: normalizedSeats
+        });
+        fareBreakdown = pricing.quoteFare({ trip, bus, seats: normalizedSeats });
+      });
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Seats held successfully',
+        data: {
+          ...holdService.toHoldSummary(hold),
+          fareBreakdown
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get the current state of a hold
+  getHold: async (req, res, next) => {
+    try {
+      let hold;
+      await withConnection(async () => {
+        hold = await holdService.getHold(req.params.holdId, req.user.id);
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: holdService.toHoldSummary(hold)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Extend a hold by another TTL
+  extendHold: async (req, res, next) => {
+    try {
+      let hold;
+      await withConnection(async () => {
+        hold = await holdService.extendHold(req.params.holdId, req.user.id);
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Hold extended successfully',
+        data: holdService.toHoldSummary(hold)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Release a hold and return its seats
+  releaseHold: async (req, res, next) => {
+    try {
+      let hold;
+      await withConnection(async () => {
+        hold = await holdService.releaseHold(req.params.holdId, req.user.id);
+      });
+      await withConnection(() => waitlistService.promoteWaitlist(hold.tripId));
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Hold released successfully',
+        data: holdService.toHoldSummary(hold)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Convert a hold into a booking (same body as POST /api/bookTicket, minus trip and seats)
+  bookHold: (req, res, next) => {
+    req.body = { ...req.body, holdId: req.params.holdId };
+    return bookingController.bookTicket(req, res, next);
+  }
+};
+
+module.exports = holdController;
@@ -0,0 +1,28 @@
+const paymentService = require('../services/paymentService');
+const { withConnection } = require('../config/dbConnect');
+
+// Requests are validated against validation/paymentSchemas.js before these run
+const paymentController = {
+  // Receive a signed callback from the payment provider
+  handleWebhook: async (req, res, next) => {
+    try {
+      let result;
+      await withConnection(async () => {
+        result = await paymentService.handleWebhook(req.params.provider, req.rawBody, req.headers);
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          received: true,
+          ...result
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = paymentController;
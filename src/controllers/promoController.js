@@ -0,0 +1,167 @@
+const PromoCode = require('../models/PromoCode');
+const PromoUsage = require('../models/PromoUsage');
+const Route = require('../models/Route');
+const { withConnection } = require('../config/dbConnect');
+const { AppError } = require('../utils/errors');
+
+// Fields an admin sets on a promo code; the code itself is fixed once created
+const RULE_FIELDS = [
+  'description',
+  'discountType',
+  'value',
+  'minSpend',
+  'maxDiscount',
+  'validFrom',
+  'validUntil',
+  'usageLimit',
+  'perUserLimit',
+  'routeIds',
+  'busTypes',
+  'isActive'
+];
+
+// Pick only the listed fields from a request body
+const pick = (body, fields) => Object.fromEntries(
+  fields.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+);
+
+// Restricting a code to a route that doesn't exist is a typo, not a rule
+const assertRoutesExist = async (routeIds) => {
+  if (!routeIds || routeIds.length === 0) return;
+
+  const found = await Route.distinct('routeId', { routeId: { $in: routeIds } });
+  const missing = routeIds.filter((routeId) => !found.includes(routeId));
+  if (missing.length > 0) {
+    throw new AppError(`Route not found: ${missing.join(', ')}`, 400);
+  }
+};
+
+const findPromo = async (promoId) => {
+  const promo = await PromoCode.findOne({ promoId });
+  if (!promo) {
+    throw new AppError('Promo code not found', 404);
+  }
+  return promo;
+};
+
+// Requests are validated against validation/adminSchemas.js before these run
+const promoController = {
+  // Create a promo code
+  createPromoCode: async (req, res, next) => {
+    try {
+      let promo;
+      await withConnection(async () => {
+        await assertRoutesExist(req.body.routeIds);
+
+        promo = new PromoCode({
+          code: req.body.code,
+          ...pick(req.body, RULE_FIELDS),
+          createdBy: req.user.id
+        });
+        await promo.save();
+      });
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Promo code created successfully',
+        data: promo
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // List promo codes, newest first (?active=&limit=&skip=)
+  listPromoCodes: async (req, res, next) => {
+    try {
+      const { active, limit = 50, skip = 0 } = req.query;
+      const filter = active === undefined ? {} : { isActive: active };
+
+      let promoCodes, total;
+      await withConnection(async () => {
+        [promoCodes, total] = await Promise.all([
+          PromoCode.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+          PromoCode.countDocuments(filter)
+        ]);
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          total,
+          promoCodes
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get a promo code with how often it has been used
+  getPromoCode: async (req, res, next) => {
+    try {
+      let promo;
+      await withConnection(async () => {
+        promo = await findPromo(req.params.promoId);
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: promo
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Change a promo code's discount or rules; bookings already made keep the discount they got
+  updatePromoCode: async (req, res, next) => {
+    try {
+      let promo;
+      await withConnection(async () => {
+        promo = await findPromo(req.params.promoId);
+        await assertRoutesExist(req.body.routeIds);
+
+        promo.set(pick(req.body, RULE_FIELDS));
+        await promo.save();
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Promo code updated successfully',
+        data: promo
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Delete a promo code; bookings made with it keep their discount
+  deletePromoCode: async (req, res, next) => {
+    try {
+      const { promoId } = req.params;
+
+      await withConnection(async () => {
+        const { deletedCount } = await PromoCode.deleteOne({ promoId });
+        if (deletedCount === 0) {
+          throw new AppError('Promo code not found', 404);
+        }
+        await PromoUsage.deleteMany({ promoId });
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Promo code deleted successfully'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = promoController;
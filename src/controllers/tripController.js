@@ -0,0 +1,129 @@
+const tripCatalog = require('../services/tripCatalog');
+const seatInventory = require('../services/seatInventory');
+const promoService = require('../services/promoService');
+const { withConnection } = require('../config/dbConnect');
+const { AppError } = require('../utils/errors');
+
+// Requests are validated against validation/tripSchemas.js before these run
+const tripController = {
+  // Search scheduled trips between two cities on a date
+  searchTrips: async (req, res, next) => {
+    try {
+      const { from, to, date } = req.query;
+
+      let trips;
+      await withConnection(async () => {
+        trips = await tripCatalog.searchTrips({
+          from: from.trim(),
+          to: to.trim(),
+          date
+        });
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          from,
+          to,
+          date,
+          count: trips.length,
+          trips
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get a single trip with fare and seats left
+  getTrip: async (req, res, next) => {
+    try {
+      const { tripId } = req.params;
+
+      let trip;
+      await withConnection(async () => {
+        trip = await tripCatalog.getTripSummary(tripId);
+      });
+
+      if (!trip) {
+        throw new AppError('Trip not found', 404);
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: trip
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get seat-by-seat availability for a trip
+  getSeatMap: async (req, res, next) => {
+    try {
+      const { tripId } = req.params;
+
+      let details, seats;
+      await withConnection(async () => {
+        details = await tripCatalog.getTripDetails(tripId);
+        if (details) {
+          seats = await seatInventory.getSeatMap(tripId, details.bus);
+        }
+      });
+
+      if (!details) {
+        throw new AppError('Trip not found', 404);
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          tripId,
+          totalSeats: details.bus.totalSeats,
+          seatsLeft: seats.filter((seat) => seat.status === 'available').length,
+          seats
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Quote the fare for seats on a trip (?seats=1,2,3&promoCode=)
+  getFareQuote: async (req, res, next) => {
+    try {
+      const { tripId } = req.params;
+      const { seats, promoCode } = req.query;
+
+      let fareBreakdown;
+      await withConnection(async () => {
+        const details = await tripCatalog.getTripDetails(tripId);
+        if (!details) {
+          throw new AppError('Trip not found', 404);
+        }
+
+        ({ fareBreakdown } = await promoService.quoteWithPromo({
+          tripDetails: details,
+          seats: seatInventory.normalizeSeats(details.bus, seats),
+          promoCode
+        }));
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          tripId,
+          fareBreakdown
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = tripController;
@@ -0,0 +1,67 @@
+const waitlistService = require('../services/waitlistService');
+const { withConnection } = require('../config/dbConnect');
+
+// Requests are validated against validation/tripSchemas.js before these run
+const waitlistController = {
+  // Join the waitlist of a sold-out trip
+  joinWaitlist: async (req, res, next) => {
+    try {
+      let result;
+      await withConnection(async () => {
+        result = await waitlistService.joinWaitlist({
+          userId: req.user.id,
+          tripId: req.params.tripId,
+          seatCount: req.body.seats
+        });
+      });
+
+      res.status(201).json({
+        status: 'success',
+        message: `You are number ${result.position} on the waitlist`,
+        data: waitlistService.toEntrySummary(result.entry, result.position)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get the user's place on a trip's waitlist, or the seats offered to them
+  getWaitlistEntry: async (req, res, next) => {
+    try {
+      let result;
+      await withConnection(async () => {
+        result = await waitlistService.getEntry({ userId: req.user.id, tripId: req.params.tripId });
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: waitlistService.toEntrySummary(result.entry, result.position)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Leave a trip's waitlist, giving up any seats offered
+  leaveWaitlist: async (req, res, next) => {
+    try {
+      let entry;
+      await withConnection(async () => {
+        entry = await waitlistService.leaveWaitlist({ userId: req.user.id, tripId: req.params.tripId });
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'You have left the waitlist',
+        data: waitlistService.toEntrySummary(entry)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = waitlistController;
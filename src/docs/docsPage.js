@@ -0,0 +1,25 @@
+// Browsable API docs: Swagger UI (loaded from a CDN) pointed at the generated spec
+const SWAGGER_UI_VERSION = '5.17.14';
+const CDN = `https://cdn.jsdelivr.net/npm/swagger-ui-dist@${SWAGGER_UI_VERSION}`;
+
+const renderDocsPage = (specUrl) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>BusTrek API docs</title>
+  <link rel="stylesheet" href="${CDN}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${CDN}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>
+`;
+
+module.exports = {
+  renderDocsPage
+};
@@ -0,0 +1,203 @@
+const { apiRoutes } = require('../routes');
+const authGuard = require('../middleware/authGuard');
+const idempotency = require('../middleware/idempotency');
+const { version } = require('../../package.json');
+
+// Builds the OpenAPI 3 document by walking the mounted routers: paths and methods come
+// from Express, request shapes and summaries from each route's validate() schema, and
+// auth, permission, rate-limit and idempotency notes from the middleware on the route.
+
+const API_PREFIX = '/api/v1';
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+// Route schemas carry validator-only hints that aren't OpenAPI
+const toOpenApiSchema = (schema) => JSON.parse(JSON.stringify(schema, (key, value) => (
+  key === 'x-patternMessage' ? undefined : value
+)));
+
+const joinPaths = (...parts) => `/${parts.join('/').split('/').filter(Boolean).join('/')}`;
+
+// Express "/bookings/:bookingId" -> OpenAPI "/bookings/{bookingId}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const idempotencyKeyParameter = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  required: false,
+  description: 'Makes the request safe to retry: repeating a key replays the first response, '
+    + 'and reusing it with a different request is rejected',
+  schema: { type: 'string', minLength: 1, maxLength: 255 }
+};
+
+const toParameters = (schema, location) => {
+  if (!schema) return [];
+  const required = schema.required || [];
+
+  return Object.entries(schema.properties || {}).map(([name, propertySchema]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    ...(propertySchema.description && { description: propertySchema.description }),
+    schema: toOpenApiSchema(propertySchema),
+    // Arrays in the query string are comma-separated (?seats=1,2,3)
+    ...(propertySchema.type === 'array' && { style: 'form', explode: false })
+  }));
+};
+
+// Everything the docs need from one route's middleware stack
+const describeHandlers = (handles, routerInfo) => {
+  const info = { ...routerInfo, permissions: [...routerInfo.permissions], rateLimits: [], schema: null };
+
+  for (const handle of handles) {
+    if (handle === authGuard) info.authenticated = true;
+    if (handle === idempotency) info.idempotent = true;
+    if (handle.permissions) info.permissions.push(...handle.permissions);
+    if (handle.rateLimit) info.rateLimits.push(handle.rateLimit);
+    if (handle.schema) info.schema = handle.schema;
+  }
+
+  return info;
+};
+
+const buildOperation = (tag, info) => {
+  const schema = info.schema || {};
+  const successStatus = String(schema.status || 200);
+
+  const notes = [];
+  if (info.permissions.length > 0) {
+    notes.push(`Requires permission: ${info.permissions.join(', ')}.`);
+  }
+  for (const limit of info.rateLimits) {
+    notes.push(`Rate limited (${limit.name}): ${limit.max} requests per ${Math.round(limit.windowMs / 60000)} minutes.`);
+  }
+
+  const success = schema.produces
+    ? { description: 'Success', content: { [schema.produces]: { schema: { type: 'string', format: 'binary' } } } }
+    : { description: 'Success' };
+
+  const responses = {
+    [successStatus]: success,
+    ...(schema.params || schema.query || schema.body ? { 400: errorResponse('Invalid request') } : {}),
+    ...(info.authenticated ? { 401: errorResponse('Missing, invalid or expired access token') } : {}),
+    ...(info.permissions.length > 0 ? { 403: errorResponse('Not allowed for this role') } : {}),
+    ...(info.idempotent ? { 422: errorResponse('Idempotency-Key already used for a different request') } : {}),
+    ...(info.rateLimits.length > 0 ? { 429: errorResponse('Too many requests; see the Retry-After header') } : {}),
+    default: errorResponse('Error')
+  };
+
+  return {
+    tags: [tag],
+    ...(schema.summary && { summary: schema.summary }),
+    ...(notes.length > 0 && { description: notes.join('\n\n') }),
+    ...(info.authenticated && { security: [{ bearerAuth: [] }] }),
+    parameters: [
+      ...toParameters(schema.params, 'path'),
+      ...toParameters(schema.query, 'query'),
+      ...(info.idempotent ? [idempotencyKeyParameter] : [])
+    ],
+    ...(schema.body && {
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: toOpenApiSchema(schema.body) } }
+      }
+    }),
+    responses
+  };
+};
+
+/**
+ * Build the OpenAPI document for the versioned API.
+ * @returns {Object} OpenAPI 3.0 document
+ */
+const buildSpec = () => {
+  const paths = {};
+
+  for (const { path: mountPath, router, tag } of apiRoutes) {
+    // router.use(authGuard, requirePermission(...)) applies to every route registered after it
+    const routerInfo = { authenticated: false, permissions: [] };
+
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        if (layer.handle === authGuard) routerInfo.authenticated = true;
+        if (layer.handle.permissions) routerInfo.permissions.push(...layer.handle.permissions);
+        continue;
+      }
+
+      const path = toOpenApiPath(joinPaths(mountPath, layer.route.path));
+      const info = describeHandlers(layer.route.stack.map((entry) => entry.handle), routerInfo);
+
+      for (const method of Object.keys(layer.route.methods)) {
+        paths[path] = paths[path] || {};
+        paths[path][method] = buildOperation(tag, info);
+      }
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'BusTrek API',
+      version,
+      description: 'Bus search, seat holds and bookings. The same routes are still served without '
+        + 'the /v1 segment (e.g. /api/auth/login); those paths are deprecated and answer with a '
+        + 'Deprecation header.'
+    },
+    servers: [{ url: API_PREFIX }],
+    tags: apiRoutes.map(({ tag }) => ({ name: tag })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['success', 'status', 'message', 'error'],
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            status: { type: 'string', enum: ['error'] },
+            message: { type: 'string' },
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: {
+                code: { type: 'string', description: 'Machine-readable error code, e.g. VALIDATION_ERROR' },
+                message: { type: 'string' },
+                fields: {
+                  type: 'array',
+                  description: 'Per-field problems for VALIDATION_ERROR',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      location: { type: 'string', enum: ['body', 'params', 'query'] },
+                      field: { type: 'string' },
+                      message: { type: 'string' }
+                    }
+                  }
+                },
+                details: { type: 'object', additionalProperties: true }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+};
+
+// Routes don't change while the process runs, so the spec is built once
+let cachedSpec;
+const getSpec = () => {
+  cachedSpec = cachedSpec || buildSpec();
+  return cachedSpec;
+};
+
+module.exports = {
+  API_PREFIX,
+  buildSpec,
+  getSpec
+};
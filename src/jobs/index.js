@@ -0,0 +1,106 @@
+const { withConnection } = require('../config/dbConnect');
+const holdService = require('../services/holdService');
+const paymentService = require('../services/paymentService');
+const notificationService = require('../services/notificationService');
+const waitlistService = require('../services/waitlistService');
+const sessionManager = require('../config/sessions');
+const rateLimiter = require('../config/rateLimiter');
+
+// Periodic maintenance tasks. Serverless deployments don't keep timers alive
+// between invocations, so each task is also applied lazily by the service it belongs to.
+const jobs = [
+  {
+    name: 'expire-seat-holds',
+    intervalMs: 60 * 1000,
+    run: async () => {
+      const expired = await holdService.expireStaleHolds();
+      if (expired.length > 0) {
+        console.log(`⏱️  Expired ${expired.length} seat hold(s)`);
+      }
+    }
+  },
+  {
+    name: 'expire-unpaid-bookings',
+    intervalMs: 60 * 1000,
+    run: async () => {
+      const expired = await paymentService.expireUnpaidBookings();
+      if (expired.length > 0) {
+        console.log(`⏱️  Closed ${expired.length} unpaid booking(s)`);
+      }
+    }
+  },
+  {
+    // Seats freed by the expiry jobs above go to waitlisted passengers
+    name: 'process-waitlists',
+    intervalMs: 60 * 1000,
+    run: async () => {
+      const offers = await waitlistService.processWaitlists();
+      if (offers > 0) {
+        console.log(`🎟️  Offered seats to ${offers} waitlisted passenger(s)`);
+      }
+    }
+  },
+  {
+    name: 'deliver-notifications',
+    intervalMs: 60 * 1000,
+    run: async () => {
+      const { sent, failed } = await notificationService.deliverPendingNotifications();
+      if (sent > 0 || failed > 0) {
+        console.log(`📨 Retried notifications: ${sent} sent, ${failed} given up`);
+      }
+    }
+  },
+  {
+    name: 'send-trip-reminders',
+    intervalMs: 5 * 60 * 1000,
+    run: async () => {
+      const reminded = await notificationService.sendTripReminders();
+      if (reminded.length > 0) {
+        console.log(`⏰ Sent trip reminders for ${reminded.length} booking(s)`);
+      }
+    }
+  },
+  {
+    name: 'cleanup-sessions',
+    intervalMs: 15 * 60 * 1000,
+    run: async () => {
+      const removed = await sessionManager.cleanup();
+      if (removed > 0) {
+        console.log(`🧹 Removed ${removed} expired session(s)`);
+      }
+    }
+  },
+  {
+    name: 'cleanup-rate-limits',
+    intervalMs: 15 * 60 * 1000,
+    run: async () => {
+      await rateLimiter.cleanup();
+    }
+  }
+];
+
+// Start all jobs on their intervals (timers don't keep the process alive)
+const startJobs = () => {
+  for (const job of jobs) {
+    let running = false;
+
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await withConnection(job.run, { retries: 0 });
+      } catch (error) {
+        console.error(`Job ${job.name} failed:`, error.message);
+      } finally {
+        running = false;
+      }
+    }, job.intervalMs);
+
+    timer.unref();
+  }
+};
+
+module.exports = {
+  jobs,
+  startJobs
+};
@@ -1,55 +1,43 @@
-const sessionManager = require('../config/sessions');
+const { verifyAccessToken } = require('../services/authTokens');
+const { AppError } = require('../utils/errors');
 
 const authGuard = (req, res, next) => {
-  try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. No token provided.'
-      });
-    }
-
-    // Extract token from "Bearer <token>"
-    const token = authHeader.startsWith('Bearer ') 
-      ? authHeader.slice(7) 
-      : authHeader;
-
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. Invalid token format.'
-      });
-    }
-
-    // Check if session exists
-    const session = sessionManager.get(token);
-    if (!session) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. Invalid token.'
-      });
-    }
-
-    // Session expiration removed - tokens will not expire
-
-    // Add user info to request object
-    req.user = {
-      id: session.userId,
-      email: session.email
-    };
-
-    next();
+  // Get token from Authorization header
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader) {
+    return next(new AppError('Access denied. No token provided.', 401, undefined, 'AUTH_REQUIRED'));
+  }
 
+  // Extract token from "Bearer <token>"
+  const token = authHeader.startsWith('Bearer ')
+    ? authHeader.slice(7)
+    : authHeader;
+
+  if (!token) {
+    return next(new AppError('Access denied. Invalid token format.', 401, undefined, 'INVALID_TOKEN'));
+  }
+
+  // Verify the signed access token (no session store lookup, so a token outlives the
+  // session it was issued for by at most its lifetime; see config/tokens.js)
+  let claims;
+  try {
+    claims = verifyAccessToken(token);
   } catch (error) {
-    console.error('Auth guard error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error during authentication'
-    });
+    return next(error.name === 'TokenExpiredError'
+      ? new AppError('Access denied. Token expired.', 401, undefined, 'TOKEN_EXPIRED')
+      : new AppError('Access denied. Invalid token.', 401, undefined, 'INVALID_TOKEN'));
   }
+
+  // Add user info to request object
+  req.user = {
+    id: claims.sub,
+    email: claims.email,
+    role: claims.role || 'passenger',
+    sessionId: claims.sid
+  };
+
+  next();
 };
 
 module.exports = authGuard;
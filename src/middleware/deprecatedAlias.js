@@ -0,0 +1,16 @@
+/**
+ * Mark responses served from an old, unversioned path as deprecated and point
+ * clients at the versioned one.
+ * app.use('/api', deprecatedAlias('/api/v1'), apiRouter)
+ * @param {string} successorPrefix - Where the same routes live now
+ * @returns {Function} Express middleware
+ */
+const deprecatedAlias = (successorPrefix) => (req, res, next) => {
+  res.set({
+    Deprecation: 'true',
+    Link: `<${successorPrefix}${req.url}>; rel="successor-version"`
+  });
+  next();
+};
+
+module.exports = deprecatedAlias;
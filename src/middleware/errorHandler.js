@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { AppError, ValidationError, codeForStatus } = require('../utils/errors');
+
+const DUPLICATE_KEY = 11000;
+const exposeInternals = process.env.NODE_ENV !== 'production';
+
+/**
+ * The error envelope every failed request gets:
+ * { success: false, status: 'error', message, error: { code, message, fields?, details? } }
+ * @param {Response} res - Express response
+ * @param {number} statusCode - HTTP status
+ * @param {Object} error - { code, message, fields, details }
+ */
+const sendError = (res, statusCode, { code, message, fields, details }) => {
+  res.status(statusCode).json({
+    success: false,
+    status: 'error',
+    message,
+    error: {
+      code: code || codeForStatus(statusCode),
+      message,
+      ...(fields && { fields }),
+      ...(details && { details })
+    }
+  });
+};
+
+// Turn errors that didn't come from our own code into AppErrors where we can
+const normalizeError = (err) => {
+  if (err instanceof AppError) return err;
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new ValidationError(Object.entries(err.errors).map(([field, fieldError]) => ({
+      location: 'body',
+      field,
+      message: fieldError.message
+    })), Object.values(err.errors).map((fieldError) => fieldError.message).join(', '));
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new ValidationError([{ location: 'body', field: err.path, message: `must be a valid ${err.kind}` }]);
+  }
+
+  if (err.code === DUPLICATE_KEY) {
+    const field = Object.keys(err.keyValue || {})[0];
+    return new AppError(field ? `A record with this ${field} already exists` : 'Duplicate record', 409, undefined, 'DUPLICATE');
+  }
+
+  // Malformed JSON and oversized bodies from express.json()
+  if (err.type === 'entity.parse.failed') {
+    return new AppError('Request body is not valid JSON', 400, undefined, 'INVALID_JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return new AppError('Request body is too large', 413, undefined, 'PAYLOAD_TOO_LARGE');
+  }
+
+  return null;
+};
+
+// Express error handler: known errors keep their status and code, anything else is a
+// 500 whose details are only shown outside production
+const errorHandler = (err, req, res, next) => {
+  const error = normalizeError(err);
+
+  if (error) {
+    if (error.details?.retryAfter) {
+      res.set('Retry-After', String(error.details.retryAfter));
+    }
+    return sendError(res, error.statusCode, error);
+  }
+
+  console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  sendError(res, 500, {
+    code: 'INTERNAL_ERROR',
+    message: 'Internal server error',
+    ...(exposeInternals && { details: { error: err.message, stack: err.stack } })
+  });
+};
+
+// Unknown routes
+const notFound = (req, res) => {
+  sendError(res, 404, {
+    code: 'ROUTE_NOT_FOUND',
+    message: `Cannot ${req.method} ${req.originalUrl}`
+  });
+};
+
+module.exports = {
+  errorHandler,
+  notFound
+};
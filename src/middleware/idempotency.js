@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const idempotencyConfig = require('../config/idempotency');
+const { withConnection } = require('../config/dbConnect');
+const { AppError } = require('../utils/errors');
+
+const HEADER = 'Idempotency-Key';
+const SECOND = 1000;
+const HOUR = 60 * 60 * SECOND;
+
+// JSON with object keys sorted, so the same body always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+// Identifies what a request asks for; the route path (not the URL) keeps /api and /api/v1 alike
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(canonicalJson({ method: req.method, route: req.route.path, params: req.params, body: req.body }))
+  .digest('hex');
+
+/**
+ * Take the key for this request, or find the earlier request that has it.
+ * @returns {Promise<IdempotencyKey|null>} The completed earlier request to replay, or null once the key is ours
+ */
+const claimKey = async ({ key, userId, requestHash, method, path }) => {
+  const now = new Date();
+  const fresh = {
+    userId,
+    requestHash,
+    method,
+    path,
+    status: 'in_progress',
+    lockedUntil: new Date(now.getTime() + idempotencyConfig.lockSeconds * SECOND),
+    expiresAt: new Date(now.getTime() + idempotencyConfig.ttlHours * HOUR)
+  };
+
+  try {
+    await IdempotencyKey.create({ key, ...fresh });
+    return null;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ key });
+
+  // Expired keys linger until MongoDB's TTL sweep; treat them as new
+  if (existing && existing.expiresAt > now) {
+    if (existing.requestHash !== requestHash) {
+      throw new AppError(
+        'This Idempotency-Key was already used for a different request',
+        422,
+        undefined,
+        'IDEMPOTENCY_KEY_REUSED'
+      );
+    }
+    if (existing.status === 'completed') {
+      return existing;
+    }
+    if (existing.lockedUntil > now) {
+      throw new AppError(
+        'A request with this Idempotency-Key is still being processed',
+        409,
+        { retryAfter: Math.max(1, Math.ceil((existing.lockedUntil - now) / SECOND)) },
+        'IDEMPOTENCY_KEY_IN_USE'
+      );
+    }
+  }
+
+  // Take over an expired key, or one whose request died before answering
+  const taken = await IdempotencyKey.findOneAndUpdate(
+    {
+      key,
+      $or: [
+        { expiresAt: { $lte: now } },
+        { status: 'in_progress', lockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: fresh, $unset: { responseStatus: 1, responseBody: 1 } }
+  );
+  if (!taken) {
+    throw new AppError(
+      'A request with this Idempotency-Key is still being processed',
+      409,
+      { retryAfter: 1 },
+      'IDEMPOTENCY_KEY_IN_USE'
+    );
+  }
+  return null;
+};
+
+// Keep a successful response for replays; free the key after a failure so the client can retry with it
+const settleKey = (key, statusCode, body) => withConnection(() => (
+  statusCode >= 200 && statusCode < 300
+    ? IdempotencyKey.updateOne(
+      { key },
+      {
+        $set: { status: 'completed', responseStatus: statusCode, responseBody: JSON.parse(JSON.stringify(body)) },
+        $unset: { lockedUntil: 1 }
+      }
+    )
+    : IdempotencyKey.deleteOne({ key, status: 'in_progress' })
+), { retries: 1 });
+
+/**
+ * Make a route safe to retry. A request sent with an Idempotency-Key header runs once;
+ * repeating the key replays the stored response (with an Idempotent-Replayed header),
+ * and reusing it for a different request is a 422. Requests without the header run as usual.
+ * Goes after authGuard and validate(), since keys are per user and hash the validated body.
+ */
+const idempotency = async (req, res, next) => {
+  const clientKey = req.get(HEADER);
+  if (clientKey === undefined) return next();
+
+  try {
+    const trimmed = clientKey.trim();
+    if (!trimmed || trimmed.length > idempotencyConfig.maxKeyLength) {
+      throw new AppError(
+        `${HEADER} must be between 1 and ${idempotencyConfig.maxKeyLength} characters`,
+        400,
+        undefined,
+        'INVALID_IDEMPOTENCY_KEY'
+      );
+    }
+
+    const key = `${req.user.id}:${trimmed}`;
+    let replay;
+    await withConnection(async () => {
+      replay = await claimKey({
+        key,
+        userId: req.user.id,
+        requestHash: hashRequest(req),
+        method: req.method,
+        path: req.originalUrl
+      });
+    });
+
+    if (replay) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(replay.responseStatus).json(replay.responseBody);
+    }
+
+    // Store the outcome before it reaches the client, so a quick retry already sees it
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      settleKey(key, res.statusCode, body)
+        .catch((error) => console.error('Idempotency key error:', error.message))
+        .finally(() => json(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = idempotency;
@@ -0,0 +1,25 @@
+const { hasPermission } = require('../config/permissions');
+const { AppError } = require('../utils/errors');
+
+// Allow the request only if the authenticated user's role grants every listed permission.
+// Use after authGuard: router.post('/trips', authGuard, requirePermission('catalog:manage'), ...)
+const requirePermission = (...permissions) => {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return next(new AppError('Access denied. No token provided.', 401, undefined, 'AUTH_REQUIRED'));
+    }
+
+    const missing = permissions.filter((permission) => !hasPermission(req.user.role, permission));
+    if (missing.length > 0) {
+      return next(new AppError('Access denied. You do not have permission to do this.', 403));
+    }
+
+    next();
+  };
+
+  // Listed in the OpenAPI spec
+  middleware.permissions = permissions;
+  return middleware;
+};
+
+module.exports = requirePermission;
@@ -0,0 +1,45 @@
+const { validateValue } = require('../validation/schemaValidator');
+const { ValidationError } = require('../utils/errors');
+
+// Where each part of the request lives and whether it arrives as text
+const LOCATIONS = [
+  { location: 'params', coerce: true },
+  { location: 'query', coerce: true },
+  { location: 'body', coerce: false }
+];
+
+/**
+ * Validate a request against a route schema before the handler runs.
+ * Coerced values (numbers from query strings, seat lists, ...) replace the originals.
+ * router.post('/login', validate(authSchemas.login), authController.login)
+ * @param {Object} schema - { summary, status, produces, params, query, body }; summary, status and
+ *   produces (a non-JSON response type) only feed the docs
+ * @returns {Function} Express middleware passing a ValidationError on to the error handler
+ */
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const fields = [];
+
+    for (const { location, coerce } of LOCATIONS) {
+      if (!schema[location]) continue;
+
+      const { value, errors } = validateValue(schema[location], req[location] || {}, { location, coerce });
+      fields.push(...errors);
+      req[location] = value;
+    }
+
+    if (fields.length > 0) {
+      const [first] = fields;
+      const more = fields.length > 1 ? ` (and ${fields.length - 1} more)` : '';
+      return next(new ValidationError(fields, `Invalid request: ${first.field} ${first.message}${more}`));
+    }
+
+    next();
+  };
+
+  // The OpenAPI generator reads route schemas from here
+  middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = validate;
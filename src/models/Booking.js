@@ -1,6 +1,96 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
 
+const seatFareSchema = new mongoose.Schema({
+  seatNumber: { type: String, required: true },
+  seatType: { type: String },
+  baseFare: { type: Number, required: true },
+  fare: { type: Number, required: true }
+}, { _id: false });
+
+// pending_payment: seats reserved until paymentExpiresAt; confirmed / partially_cancelled:
+// paid, seats sold; failed: never paid; cancelled: called off (refund pending or nothing to
+// refund); refunded: cancelled with the refund paid out
+const STATUSES = ['pending_payment', 'confirmed', 'partially_cancelled', 'cancelled', 'failed', 'refunded'];
+// Bookings holding sold seats, good for travel
+const TICKETED_STATUSES = ['confirmed', 'partially_cancelled'];
+// Bookings that can no longer change
+const CLOSED_STATUSES = ['cancelled', 'failed', 'refunded'];
+
+const GENDERS = ['female', 'male', 'other'];
+const ID_DOCUMENT_TYPES = ['aadhaar', 'passport', 'driving_licence', 'voter_id', 'pan', 'other'];
+
+// Who travels in a seat
+const passengerSchema = new mongoose.Schema({
+  seatNumber: { type: String, required: true },
+  name: { type: String, required: [true, 'Passenger name is required'], trim: true },
+  age: { type: Number, required: [true, 'Passenger age is required'], min: 0, max: 120 },
+  gender: { type: String, enum: GENDERS, required: [true, 'Passenger gender is required'] },
+  idDocument: {
+    type: { type: String, enum: ID_DOCUMENT_TYPES },
+    number: { type: String, trim: true }
+  }
+}, { _id: false });
+
+// A seat checked in at the bus door
+const boardingSchema = new mongoose.Schema({
+  seatNumber: { type: String, required: true },
+  boardedAt: { type: Date, default: Date.now },
+  boardedBy: { type: String }
+}, { _id: false });
+
+// What was paid for a seat
+const paidFareSchema = new mongoose.Schema({
+  seatNumber: { type: String, required: true },
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const fareLineSchema = new mongoose.Schema({
+  code: { type: String, required: true },
+  description: { type: String },
+  rate: { type: Number },
+  amount: { type: Number, required: true }
+}, { _id: false });
+
+const cancellationSchema = new mongoose.Schema({
+  cancellationId: { type: String },
+  seats: [{ type: String, required: true }],
+  reason: { type: String, trim: true },
+  refundPercent: { type: Number, required: true },
+  refundAmount: { type: Number, required: true, min: 0 },
+  // Refund paid through the payment gateway; manual for bookings paid outside it
+  refundId: { type: String },
+  refundStatus: { type: String, enum: ['none', 'pending', 'succeeded', 'failed', 'manual'] },
+  // Called off while still waiting for payment
+  unpaid: { type: Boolean },
+  // Passengers of the cancelled seats
+  passengers: [passengerSchema],
+  cancelledBy: { type: String },
+  cancelledAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const bookingChangeSchema = new mongoose.Schema({
+  changeId: { type: String },
+  from: {
+    tripId: { type: String },
+    seats: [{ type: String }],
+    departureTime: { type: String },
+    date: { type: String }
+  },
+  to: {
+    tripId: { type: String },
+    seats: [{ type: String }],
+    departureTime: { type: String },
+    date: { type: String }
+  },
+  fareDifference: { type: Number, required: true },
+  changeFee: { type: Number, required: true, min: 0 },
+  amountDue: { type: Number, required: true, min: 0 },
+  refundDue: { type: Number, required: true, min: 0 },
+  changedBy: { type: String },
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const bookingSchema = new mongoose.Schema({
   bookingId: {
     type: String,
@@ -8,10 +98,34 @@ const bookingSchema = new mongoose.Schema({
     unique: true,
     required: true
   },
+  // Owning user's id (bookings made before this field existed only carry userDetails.email)
+  userId: {
+    type: String
+  },
+  tripId: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending_payment'
+  },
+  // Payment that paid for the booking (the latest attempt while payment is pending)
+  paymentId: {
+    type: String
+  },
+  // Unpaid bookings fail and give their seats back after this
+  paymentExpiresAt: {
+    type: Date
+  },
+  // Seats currently on the booking; cancelled seats move to cancellations
   selectedSeats: [{
     type: String,
     required: true
   }],
+  // One passenger per selected seat (bookings made without passenger details have none)
+  passengers: [passengerSchema],
   userDetails: {
     name: {
       type: String,
@@ -31,6 +145,10 @@ const bookingSchema = new mongoose.Schema({
     }
   },
   busDetails: {
+    busId: {
+      type: String,
+      trim: true
+    },
     busName: {
       type: String,
       required: [true, 'Bus name is required'],
@@ -92,6 +210,10 @@ const bookingSchema = new mongoose.Schema({
       type: String,
       required: [true, 'Journey date is required'],
       trim: true
+    },
+    // Exact departure (bookings made before this field existed only have the date)
+    departureAt: {
+      type: Date
     }
   },
   totalAmount: {
@@ -99,15 +221,74 @@ const bookingSchema = new mongoose.Schema({
     required: [true, 'Total amount is required'],
     min: [0, 'Total amount cannot be negative']
   },
+  // Server-computed fare; totalAmount always equals fareBreakdown.total
+  fareBreakdown: {
+    currency: { type: String, default: 'INR' },
+    seats: [seatFareSchema],
+    subtotal: { type: Number },
+    discounts: [fareLineSchema],
+    taxes: [fareLineSchema],
+    fees: [fareLineSchema],
+    total: { type: Number }
+  },
+  // What was actually paid for each seat, once a change has re-priced the booking: a change
+  // neither charges nor refunds the difference, so refunds go by these amounts, not the new fare
+  paidFares: [paidFareSchema],
+  // Promo code applied at checkout, as it was then; changes to the booking keep the discount
+  promo: {
+    promoId: { type: String },
+    code: { type: String },
+    discountType: { type: String },
+    value: { type: Number },
+    minSpend: { type: Number },
+    maxDiscount: { type: Number },
+    // Whether the booking still holds a use of the code
+    redeemed: { type: Boolean }
+  },
+  cancellations: [cancellationSchema],
+  // Seats that have boarded, in check-in order
+  boarding: [boardingSchema],
+  // History of trip and seat changes, oldest first
+  changes: [bookingChangeSchema],
+  // Total refunded across all cancellations
+  refundAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refund amount cannot be negative']
+  },
   bookingTime: {
     type: Date,
     default: Date.now
+  },
+  // When the passenger was reminded of the trip (cleared when the booking moves to another trip)
+  reminderSentAt: {
+    type: Date
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Concurrent changes (e.g. two cancellations) fail with a VersionError instead of overwriting each other
+  optimisticConcurrency: true
 });
 
+// Index for a user's booking history
+bookingSchema.index({ userId: 1, bookingTime: -1 });
+
 // Index for faster queries by email
 bookingSchema.index({ 'userDetails.email': 1 });
 
+// Index for seat counts per trip
+bookingSchema.index({ tripId: 1 });
+
+// Index for expiring unpaid bookings
+bookingSchema.index({ status: 1, paymentExpiresAt: 1 });
+
+// Index for the trip reminder sweep
+bookingSchema.index({ status: 1, 'journeyDetails.departureAt': 1 });
+
+bookingSchema.statics.STATUSES = STATUSES;
+bookingSchema.statics.TICKETED_STATUSES = TICKETED_STATUSES;
+bookingSchema.statics.CLOSED_STATUSES = CLOSED_STATUSES;
+bookingSchema.statics.GENDERS = GENDERS;
+bookingSchema.statics.ID_DOCUMENT_TYPES = ID_DOCUMENT_TYPES;
+
 module.exports = mongoose.model('Booking', bookingSchema);
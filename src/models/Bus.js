@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const SEAT_TYPES = ['seater', 'semi-sleeper', 'sleeper'];
+
+const seatSchema = new mongoose.Schema({
+  seatNumber: {
+    type: String,
+    required: [true, 'Seat number is required'],
+    trim: true
+  },
+  seatType: {
+    type: String,
+    enum: SEAT_TYPES,
+    default: 'seater'
+  }
+}, { _id: false });
+
+const busSchema = new mongoose.Schema({
+  busId: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true,
+    required: true
+  },
+  busName: {
+    type: String,
+    required: [true, 'Bus name is required'],
+    trim: true
+  },
+  busType: {
+    type: String,
+    required: [true, 'Bus type is required'],
+    trim: true
+  },
+  operatorName: {
+    type: String,
+    trim: true
+  },
+  registrationNumber: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  rating: {
+    type: Number,
+    default: 4.0,
+    min: [0, 'Rating cannot be negative'],
+    max: [5, 'Rating cannot exceed 5']
+  },
+  amenities: [{
+    type: String,
+    trim: true
+  }],
+  totalSeats: {
+    type: Number,
+    required: [true, 'Total seats is required'],
+    min: [1, 'Total seats must be at least 1']
+  },
+  // Optional explicit layout; without one seats are numbered 1..totalSeats
+  seatLayout: [seatSchema],
+  defaultSeatType: {
+    type: String,
+    enum: SEAT_TYPES,
+    default: 'seater'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+busSchema.pre('validate', function(next) {
+  if (this.seatLayout.length > 0 && this.seatLayout.length !== this.totalSeats) {
+    this.invalidate('seatLayout', 'Seat layout must list exactly totalSeats seats');
+  }
+  next();
+});
+
+// List every seat on the bus with its type
+busSchema.methods.getSeats = function() {
+  if (this.seatLayout.length > 0) {
+    return this.seatLayout.map(({ seatNumber, seatType }) => ({ seatNumber, seatType }));
+  }
+  return Array.from({ length: this.totalSeats }, (_, index) => ({
+    seatNumber: String(index + 1),
+    seatType: this.defaultSeatType
+  }));
+};
+
+busSchema.statics.SEAT_TYPES = SEAT_TYPES;
+
+module.exports = mongoose.model('Bus', busSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A client-supplied Idempotency-Key and the response to the request that first used it
+const idempotencyKeySchema = new mongoose.Schema({
+  // "<user id>:<Idempotency-Key header>"; keys are scoped to the account using them
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  // Hash of the method, route and body, so a key can't be reused for a different request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  method: { type: String },
+  path: { type: String },
+  // in_progress: the first request is still running; completed: its response is stored
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  // Until when an in-progress request keeps other requests with this key out
+  lockedUntil: {
+    type: Date
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes keys once they expire
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
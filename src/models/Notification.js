@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const NOTIFICATION_TYPES = [
+  'booking_created',
+  'booking_confirmed',
+  'booking_cancelled',
+  'booking_changed',
+  'trip_reminder',
+  'waitlist_offer'
+];
+
+// One message to one passenger on one channel, kept with its delivery status
+const notificationSchema = new mongoose.Schema({
+  notificationId: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true,
+    required: true
+  },
+  // "<type>:<booking or waitlist entry>:<event>:<channel>", so the same event is never sent twice
+  dedupeKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  bookingId: {
+    type: String
+  },
+  userId: {
+    type: String
+  },
+  recipient: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  // queued: waiting to be sent (again); sent: handed to the channel; failed: gave up
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String
+  },
+  messageId: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for the delivery retry sweep
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ bookingId: 1, createdAt: 1 });
+notificationSchema.index({ userId: 1 });
+
+notificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// processing: sent to the gateway; authorised: funds reserved, not taken yet;
+// captured: paid; failed / cancelled: nothing taken; partially_refunded / refunded: money returned
+const PAYMENT_STATUSES = ['processing', 'authorised', 'captured', 'failed', 'cancelled', 'partially_refunded', 'refunded'];
+
+const refundSchema = new mongoose.Schema({
+  // Our ID, also stored on the booking cancellation the refund is for
+  refundId: { type: String, required: true },
+  providerRefundId: { type: String },
+  amount: { type: Number, required: true, min: 0 },
+  status: { type: String, enum: ['pending', 'succeeded', 'failed'], required: true },
+  reason: { type: String },
+  failureReason: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  settledAt: { type: Date }
+}, { _id: false });
+
+// One attempt to pay for a booking
+const paymentSchema = new mongoose.Schema({
+  paymentId: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true,
+    required: true
+  },
+  bookingId: {
+    type: String,
+    required: [true, 'Booking ID is required']
+  },
+  userId: {
+    type: String
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  providerPaymentId: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'processing'
+  },
+  // Set while the attempt is processing or authorised; cleared once it is captured, failed or cancelled
+  inFlight: {
+    type: Boolean,
+    default: true
+  },
+  failureReason: {
+    type: String
+  },
+  authorisedAt: { type: Date },
+  capturedAt: { type: Date },
+  amountRefunded: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refunds: [refundSchema],
+  // Webhook events already applied, so redelivered events are ignored
+  processedEventIds: [{ type: String }]
+}, {
+  timestamps: true
+});
+
+// At most one attempt per booking can be in flight (processing or authorised) at a time, so a
+// second attempt can't charge the card again while the first has yet to be captured or given up
+paymentSchema.index(
+  { bookingId: 1 },
+  { unique: true, partialFilterExpression: { inFlight: true }, name: 'one_in_flight_payment_per_booking' }
+);
+paymentSchema.index({ bookingId: 1, createdAt: -1 });
+paymentSchema.index({ provider: 1, providerPaymentId: 1 });
+paymentSchema.index({ 'refunds.refundId': 1 });
+
+paymentSchema.statics.PAYMENT_STATUSES = PAYMENT_STATUSES;
+
+module.exports = mongoose.model('Payment', paymentSchema);
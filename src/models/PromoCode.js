@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// percentage: value is a percentage of the seat fares, capped at maxDiscount;
+// flat: value is taken off the seat fares
+const DISCOUNT_TYPES = ['percentage', 'flat'];
+
+// A code passengers enter at checkout for a discount on the seat fares
+const promoCodeSchema = new mongoose.Schema({
+  promoId: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true,
+    required: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code must be 3-30 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  discountType: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    required: [true, 'Discount type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  // Seat fares (before tax) the booking must reach
+  minSpend: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum spend cannot be negative']
+  },
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  validFrom: {
+    type: Date
+  },
+  validUntil: {
+    type: Date
+  },
+  // Bookings the code can be used on in total, and by each passenger; unlimited if unset
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  // Bookings holding a use of the code; unpaid bookings give theirs back when they close
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Only valid on these routes and bus types when set
+  routeIds: [{ type: String }],
+  busTypes: [{ type: String, trim: true }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'A percentage discount cannot exceed 100');
+  }
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'Valid until must be after valid from');
+  }
+  next();
+});
+
+promoCodeSchema.index({ isActive: 1, createdAt: -1 });
+
+promoCodeSchema.statics.DISCOUNT_TYPES = DISCOUNT_TYPES;
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// How many bookings a passenger holds a promo code's uses on, for its per-user limit
+const promoUsageSchema = new mongoose.Schema({
+  promoId: {
+    type: String,
+    required: [true, 'Promo ID is required']
+  },
+  userId: {
+    type: String,
+    required: [true, 'User ID is required']
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One counter per passenger and code; redeeming relies on it to enforce the limit
+promoUsageSchema.index({ promoId: 1, userId: 1 }, { unique: true });
+promoUsageSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('PromoUsage', promoUsageSchema);
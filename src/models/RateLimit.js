@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Request counters for the MongoDB rate limit store, one per limiter key and window
+const rateLimitSchema = new mongoose.Schema({
+  // "<limiter name>:<ip or account>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  // End of the current window
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// MongoDB removes counters once their window is over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// Case-insensitive matching for city names ("hyderabad" finds "Hyderabad")
+const CITY_COLLATION = { locale: 'en', strength: 2 };
+
+const routeSchema = new mongoose.Schema({
+  routeId: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true,
+    required: true
+  },
+  from: {
+    type: String,
+    required: [true, 'From location is required'],
+    trim: true
+  },
+  to: {
+    type: String,
+    required: [true, 'To location is required'],
+    trim: true
+  },
+  distanceKm: {
+    type: Number,
+    min: [0, 'Distance cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for route search by city pair
+routeSchema.index({ from: 1, to: 1 }, { collation: CITY_COLLATION });
+
+routeSchema.statics.CITY_COLLATION = CITY_COLLATION;
+
+module.exports = mongoose.model('Route', routeSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// One document per taken seat on a trip. The unique (tripId, seatNumber) index
+// is what makes seat claims atomic: two requests can never both insert seat 12.
+const seatAllocationSchema = new mongoose.Schema({
+  tripId: {
+    type: String,
+    required: [true, 'Trip ID is required'],
+    trim: true
+  },
+  seatNumber: {
+    type: String,
+    required: [true, 'Seat number is required'],
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['held', 'sold'],
+    required: true
+  },
+  bookingId: {
+    type: String
+  },
+  holdId: {
+    type: String
+  },
+  userId: {
+    type: String
+  },
+  // Only set for held seats; an expired hold no longer blocks the seat
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+seatAllocationSchema.index({ tripId: 1, seatNumber: 1 }, { unique: true });
+seatAllocationSchema.index({ bookingId: 1 });
+seatAllocationSchema.index({ holdId: 1 });
+
+module.exports = mongoose.model('SeatAllocation', seatAllocationSchema);
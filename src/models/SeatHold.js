@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const seatHoldSchema = new mongoose.Schema({
+  holdId: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true,
+    required: true
+  },
+  tripId: {
+    type: String,
+    required: [true, 'Trip ID is required'],
+    trim: true
+  },
+  userId: {
+    type: String,
+    required: [true, 'User ID is required']
+  },
+  seats: [{
+    type: String,
+    required: true
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'released', 'converted', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry time is required']
+  },
+  extensionCount: {
+    type: Number,
+    default: 0
+  },
+  // Booking created from this hold
+  bookingId: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index for the expiry sweep
+seatHoldSchema.index({ status: 1, expiresAt: 1 });
+seatHoldSchema.index({ userId: 1, status: 1 });
+
+module.exports = mongoose.model('SeatHold', seatHoldSchema);
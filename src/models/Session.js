@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Login sessions for the MongoDB session store. Each session is one refresh token
+// family; only hashes of its current and previously rotated tokens are stored.
+const sessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Tokens already rotated out; seeing one again means the family has leaked
+  previousTokenHashes: [{
+    type: String
+  }],
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    default: 'passenger'
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Absolute expiry: the session ends here no matter how active it is
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Idle expiry: pushed forward on use, never past expiresAt
+  idleExpiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ previousTokenHashes: 1 });
+
+// MongoDB removes sessions once they have gone idle (idleExpiresAt is capped at expiresAt)
+sessionSchema.index({ idleExpiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { formatDate } = require('../utils/dateTime');
+
+const tripSchema = new mongoose.Schema({
+  tripId: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true,
+    required: true
+  },
+  busId: {
+    type: String,
+    required: [true, 'Bus ID is required'],
+    trim: true
+  },
+  routeId: {
+    type: String,
+    required: [true, 'Route ID is required'],
+    trim: true
+  },
+  // Journey date (YYYY-MM-DD in the app timezone), derived from departureAt
+  date: {
+    type: String,
+    trim: true
+  },
+  departureAt: {
+    type: Date,
+    required: [true, 'Departure time is required']
+  },
+  arrivalAt: {
+    type: Date,
+    required: [true, 'Arrival time is required']
+  },
+  baseFare: {
+    type: Number,
+    required: [true, 'Base fare is required'],
+    min: [0, 'Base fare cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled', 'departed', 'completed'],
+    default: 'scheduled'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for trip search by route and date
+tripSchema.index({ routeId: 1, date: 1, departureAt: 1 });
+
+tripSchema.pre('validate', function(next) {
+  if (this.departureAt && this.arrivalAt && this.arrivalAt <= this.departureAt) {
+    this.invalidate('arrivalAt', 'Arrival time must be after departure time');
+  }
+  if (this.departureAt && this.isModified('departureAt')) {
+    this.date = formatDate(this.departureAt);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Trip', tripSchema);
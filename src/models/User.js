@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
+const { ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   id: {
@@ -33,6 +34,34 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true,
     match: [/^[0-9]{10,15}$/, 'Please enter a valid phone number']
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'passenger'
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Failed logins since the last successful one; drives the progressive lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
+  // Pending password reset; only the token's hash is stored and it is cleared once used
+  passwordResetTokenHash: {
+    type: String,
+    index: { sparse: true }
+  },
+  passwordResetExpiresAt: {
+    type: Date
   }
 }, {
   timestamps: true
@@ -56,10 +85,14 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Remove password and reset token from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordResetTokenHash;
+  delete user.passwordResetExpiresAt;
+  delete user.failedLoginAttempts;
+  delete user.lockUntil;
   return user;
 };
 
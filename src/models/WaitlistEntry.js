@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// waiting: in the queue; offered: seats are held for the passenger (offer.holdId);
+// booked: the offer was booked; declined: the offer was released; expired: the offer ran out;
+// left: the passenger left the queue; closed: the trip can no longer be booked
+const WAITLIST_STATUSES = ['waiting', 'offered', 'booked', 'declined', 'expired', 'left', 'closed'];
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+// A passenger queueing for seats on a sold-out trip
+const waitlistEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true,
+    required: true
+  },
+  tripId: {
+    type: String,
+    required: [true, 'Trip ID is required']
+  },
+  userId: {
+    type: String,
+    required: [true, 'User ID is required']
+  },
+  seatCount: {
+    type: Number,
+    required: [true, 'Seat count is required'],
+    min: [1, 'At least one seat is required']
+  },
+  status: {
+    type: String,
+    enum: WAITLIST_STATUSES,
+    default: 'waiting'
+  },
+  // Journey snapshot for responses and messages
+  journey: {
+    from: { type: String },
+    to: { type: String },
+    date: { type: String },
+    departureTime: { type: String },
+    busName: { type: String }
+  },
+  // Seats held for the passenger when their turn came
+  offer: {
+    holdId: { type: String },
+    seats: [{ type: String }],
+    offeredAt: { type: Date },
+    expiresAt: { type: Date }
+  },
+  bookingId: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Queue order per trip
+waitlistEntrySchema.index({ tripId: 1, status: 1, createdAt: 1 });
+// One place in the queue per passenger and trip
+waitlistEntrySchema.index(
+  { tripId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'waiting' }, name: 'one_waiting_entry_per_user_and_trip' }
+);
+waitlistEntrySchema.index({ userId: 1, createdAt: -1 });
+waitlistEntrySchema.index({ 'offer.holdId': 1 });
+
+waitlistEntrySchema.statics.WAITLIST_STATUSES = WAITLIST_STATUSES;
+waitlistEntrySchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,103 @@
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const catalogController = require('../controllers/catalogController');
+const promoController = require('../controllers/promoController');
+const authGuard = require('../middleware/authGuard');
+const requirePermission = require('../middleware/requirePermission');
+const validate = require('../middleware/validate');
+const adminSchemas = require('../validation/adminSchemas');
+
+const router = express.Router();
+
+// All admin routes require authentication; each declares the permission it needs
+router.use(authGuard);
+
+// GET /api/admin/users - List users (admin only)
+router.get(
+  '/users',
+  requirePermission('users:manage'),
+  validate(adminSchemas.listUsers),
+  adminController.listUsers
+);
+
+// PATCH /api/admin/users/:id/role - Change a user's role (admin only)
+router.patch(
+  '/users/:id/role',
+  requirePermission('users:manage'),
+  validate(adminSchemas.updateUserRole),
+  adminController.updateUserRole
+);
+
+// POST /api/admin/buses - Add a bus (operator or admin)
+router.post(
+  '/buses',
+  requirePermission('catalog:manage'),
+  validate(adminSchemas.createBus),
+  catalogController.createBus
+);
+
+// POST /api/admin/routes - Add a route (operator or admin)
+router.post(
+  '/routes',
+  requirePermission('catalog:manage'),
+  validate(adminSchemas.createRoute),
+  catalogController.createRoute
+);
+
+// POST /api/admin/trips - Schedule a trip (operator or admin)
+router.post(
+  '/trips',
+  requirePermission('catalog:manage'),
+  validate(adminSchemas.createTrip),
+  catalogController.createTrip
+);
+
+// PATCH /api/admin/trips/:tripId/status - Change a trip's status (operator or admin)
+router.patch(
+  '/trips/:tripId/status',
+  requirePermission('catalog:manage'),
+  validate(adminSchemas.updateTripStatus),
+  catalogController.updateTripStatus
+);
+
+// POST /api/admin/promo-codes - Create a promo code (admin only)
+router.post(
+  '/promo-codes',
+  requirePermission('promos:manage'),
+  validate(adminSchemas.createPromoCode),
+  promoController.createPromoCode
+);
+
+// GET /api/admin/promo-codes - List promo codes (admin only)
+router.get(
+  '/promo-codes',
+  requirePermission('promos:manage'),
+  validate(adminSchemas.listPromoCodes),
+  promoController.listPromoCodes
+);
+
+// GET /api/admin/promo-codes/:promoId - Get a promo code (admin only)
+router.get(
+  '/promo-codes/:promoId',
+  requirePermission('promos:manage'),
+  validate(adminSchemas.getPromoCode),
+  promoController.getPromoCode
+);
+
+// PATCH /api/admin/promo-codes/:promoId - Change a promo code (admin only)
+router.patch(
+  '/promo-codes/:promoId',
+  requirePermission('promos:manage'),
+  validate(adminSchemas.updatePromoCode),
+  promoController.updatePromoCode
+);
+
+// DELETE /api/admin/promo-codes/:promoId - Delete a promo code (admin only)
+router.delete(
+  '/promo-codes/:promoId',
+  requirePermission('promos:manage'),
+  validate(adminSchemas.deletePromoCode),
+  promoController.deletePromoCode
+);
+
+module.exports = router;
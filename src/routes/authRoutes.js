@@ -1,15 +1,78 @@
 const express = require('express');
 const authController = require('../controllers/authController');
 const authGuard = require('../middleware/authGuard');
+const { rateLimit, byEmail, byUser } = require('../middleware/rateLimit');
+const { limits } = require('../config/rateLimits');
+const validate = require('../middleware/validate');
+const authSchemas = require('../validation/authSchemas');
 
 const router = express.Router();
 
 // Public routes
-router.post('/signup', authController.signup);
-router.post('/login', authController.login);
+router.post(
+  '/signup',
+  rateLimit('signup:ip', limits.signupByIp),
+  validate(authSchemas.signup),
+  authController.signup
+);
+router.post(
+  '/login',
+  rateLimit('login:ip', limits.loginByIp),
+  rateLimit('login:account', limits.loginByAccount, byEmail),
+  validate(authSchemas.login),
+  authController.login
+);
+router.post(
+  '/refresh',
+  rateLimit('refresh:ip', limits.refreshByIp),
+  validate(authSchemas.refresh),
+  authController.refresh
+);
+router.post(
+  '/forgot-password',
+  rateLimit('forgot-password:ip', limits.forgotPasswordByIp),
+  rateLimit('forgot-password:account', limits.forgotPasswordByAccount, byEmail),
+  validate(authSchemas.forgotPassword),
+  authController.forgotPassword
+);
+router.post(
+  '/reset-password',
+  rateLimit('reset-password:ip', limits.resetPasswordByIp),
+  validate(authSchemas.resetPassword),
+  authController.resetPassword
+);
+router.post(
+  '/verify-email',
+  rateLimit('verify-email:ip', limits.verifyEmailByIp),
+  validate(authSchemas.verifyEmail),
+  authController.verifyEmail
+);
 
 // Protected routes
-router.post('/logout', authGuard, authController.logout);
-router.get('/profile', authGuard, authController.getProfile);
+router.post('/logout', authGuard, validate(authSchemas.logout), authController.logout);
+router.get('/profile', authGuard, validate(authSchemas.getProfile), authController.getProfile);
+router.patch('/profile', authGuard, validate(authSchemas.updateProfile), authController.updateProfile);
+router.post(
+  '/change-password',
+  authGuard,
+  rateLimit('password-confirm:account', limits.passwordConfirmByAccount, byUser),
+  validate(authSchemas.changePassword),
+  authController.changePassword
+);
+router.get('/export', authGuard, validate(authSchemas.exportData), authController.exportData);
+router.delete(
+  '/account',
+  authGuard,
+  rateLimit('password-confirm:account', limits.passwordConfirmByAccount, byUser),
+  validate(authSchemas.deleteAccount),
+  authController.deleteAccount
+);
+router.post(
+  '/resend-verification',
+  authGuard,
+  rateLimit('resend-verification:account', limits.resendVerificationByAccount, byUser),
+  validate(authSchemas.resendVerification),
+  authController.resendVerification
+);
 
 module.exports = router;
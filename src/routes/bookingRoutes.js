@@ -1,15 +1,78 @@
 const express = require('express');
 const bookingController = require('../controllers/bookingController');
+const authGuard = require('../middleware/authGuard');
+const requirePermission = require('../middleware/requirePermission');
+const idempotency = require('../middleware/idempotency');
+const validate = require('../middleware/validate');
+const bookingSchemas = require('../validation/bookingSchemas');
 
 const router = express.Router();
 
 // POST /api/bookTicket - Book a bus ticket (requires authentication)
-router.post('/bookTicket', bookingController.bookTicket);
+router.post(
+  '/bookTicket',
+  authGuard,
+  requirePermission('bookings:create'),
+  validate(bookingSchemas.bookTicket),
+  idempotency,
+  bookingController.bookTicket
+);
 
-// GET /api/getBookingHistory/:id - Get booking history for user by ID
-router.get('/getBookingHistory/:id', bookingController.getBookingHistory);
+// GET /api/me/bookings - Get a page of the authenticated user's booking history
+router.get('/me/bookings', authGuard, validate(bookingSchemas.getMyBookings), bookingController.getMyBookings);
 
-// GET /api/getBooking/:bookingId - Get booking by ID (bonus endpoint)
-router.get('/getBooking/:bookingId', bookingController.getBookingById);
+// GET /api/getBookingHistory/:id - Get a page of a user's booking history (owner or admin)
+router.get(
+  '/getBookingHistory/:id',
+  authGuard,
+  validate(bookingSchemas.getBookingHistory),
+  bookingController.getBookingHistory
+);
+
+// GET /api/getBooking/:bookingId - Get booking by ID (owner or admin)
+router.get(
+  '/getBooking/:bookingId',
+  authGuard,
+  validate(bookingSchemas.getBooking),
+  bookingController.getBookingById
+);
+
+// POST /api/bookings/:bookingId/pay - Pay for a booking that is waiting for payment (requires authentication)
+router.post(
+  '/bookings/:bookingId/pay',
+  authGuard,
+  requirePermission('bookings:create'),
+  validate(bookingSchemas.payForBooking),
+  idempotency,
+  bookingController.payForBooking
+);
+
+// GET /api/bookings/:bookingId/ticket.pdf - Download the e-ticket (owner or admin)
+router.get(
+  '/bookings/:bookingId/ticket.pdf',
+  authGuard,
+  validate(bookingSchemas.getTicketPdf),
+  bookingController.getTicketPdf
+);
+
+// POST /api/bookings/:bookingId/cancel - Cancel a booking or selected seats (requires authentication)
+router.post(
+  '/bookings/:bookingId/cancel',
+  authGuard,
+  requirePermission('bookings:manage:own'),
+  validate(bookingSchemas.cancelBooking),
+  idempotency,
+  bookingController.cancelBooking
+);
+
+// POST /api/bookings/:bookingId/modify - Change the trip or seats of a booking (requires authentication)
+router.post(
+  '/bookings/:bookingId/modify',
+  authGuard,
+  requirePermission('bookings:manage:own'),
+  validate(bookingSchemas.modifyBooking),
+  idempotency,
+  bookingController.modifyBooking
+);
 
 module.exports = router;
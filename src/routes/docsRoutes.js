@@ -0,0 +1,17 @@
+const express = require('express');
+const { API_PREFIX, getSpec } = require('../docs/openapi');
+const { renderDocsPage } = require('../docs/docsPage');
+
+const router = express.Router();
+
+// GET /api/v1/openapi.json - OpenAPI 3 document generated from the routes
+router.get('/openapi.json', (req, res) => {
+  res.json(getSpec());
+});
+
+// GET /api/v1/docs - Interactive API docs
+router.get('/docs', (req, res) => {
+  res.type('html').send(renderDocsPage(`${API_PREFIX}/openapi.json`));
+});
+
+module.exports = router;
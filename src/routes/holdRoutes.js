@@ -0,0 +1,28 @@
+const express = require('express');
+const holdController = require('../controllers/holdController');
+const authGuard = require('../middleware/authGuard');
+const requirePermission = require('../middleware/requirePermission');
+const validate = require('../middleware/validate');
+const holdSchemas = require('../validation/holdSchemas');
+
+const router = express.Router();
+
+// All hold routes belong to the authenticated user
+router.use(authGuard, requirePermission('holds:manage:own'));
+
+// POST /api/holds - Hold seats on a trip during checkout
+router.post('/', validate(holdSchemas.createHold), holdController.createHold);
+
+// GET /api/holds/:holdId - Get hold status and expiry
+router.get('/:holdId', validate(holdSchemas.getHold), holdController.getHold);
+
+// POST /api/holds/:holdId/extend - Extend a hold by another TTL
+router.post('/:holdId/extend', validate(holdSchemas.extendHold), holdController.extendHold);
+
+// DELETE /api/holds/:holdId - Release a hold early
+router.delete('/:holdId', validate(holdSchemas.releaseHold), holdController.releaseHold);
+
+// POST /api/holds/:holdId/book - Convert a hold into a booking
+router.post('/:holdId/book', validate(holdSchemas.bookHold), holdController.bookHold);
+
+module.exports = router;
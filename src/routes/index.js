@@ -0,0 +1,28 @@
+const express = require('express');
+const authRoutes = require('./authRoutes');
+const tripRoutes = require('./tripRoutes');
+const holdRoutes = require('./holdRoutes');
+const adminRoutes = require('./adminRoutes');
+const paymentRoutes = require('./paymentRoutes');
+const bookingRoutes = require('./bookingRoutes');
+
+// Every API router, where it is mounted and how the docs group it
+const apiRoutes = [
+  { path: '/auth', router: authRoutes, tag: 'Auth' },
+  { path: '/trips', router: tripRoutes, tag: 'Trips' },
+  { path: '/holds', router: holdRoutes, tag: 'Holds' },
+  { path: '/admin', router: adminRoutes, tag: 'Admin' },
+  { path: '/payments', router: paymentRoutes, tag: 'Payments' },
+  // Booking routes predate the resource prefixes and sit at the API root
+  { path: '/', router: bookingRoutes, tag: 'Bookings' }
+];
+
+const apiRouter = express.Router();
+for (const { path, router } of apiRoutes) {
+  apiRouter.use(path, router);
+}
+
+module.exports = {
+  apiRouter,
+  apiRoutes
+};
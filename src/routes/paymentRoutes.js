@@ -0,0 +1,11 @@
+const express = require('express');
+const paymentController = require('../controllers/paymentController');
+const validate = require('../middleware/validate');
+const paymentSchemas = require('../validation/paymentSchemas');
+
+const router = express.Router();
+
+// POST /api/payments/webhooks/:provider - Signed callbacks from the payment provider
+router.post('/webhooks/:provider', validate(paymentSchemas.handleWebhook), paymentController.handleWebhook);
+
+module.exports = router;
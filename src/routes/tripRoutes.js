@@ -0,0 +1,69 @@
+const express = require('express');
+const tripController = require('../controllers/tripController');
+const boardingController = require('../controllers/boardingController');
+const waitlistController = require('../controllers/waitlistController');
+const authGuard = require('../middleware/authGuard');
+const requirePermission = require('../middleware/requirePermission');
+const validate = require('../middleware/validate');
+const tripSchemas = require('../validation/tripSchemas');
+
+const router = express.Router();
+
+// GET /api/trips/search?from=&to=&date= - Search scheduled trips between two cities
+router.get('/search', validate(tripSchemas.searchTrips), tripController.searchTrips);
+
+// GET /api/trips/:tripId - Get trip details with fare and seats left
+router.get('/:tripId', validate(tripSchemas.getTrip), tripController.getTrip);
+
+// GET /api/trips/:tripId/seats - Get seat availability for a trip
+router.get('/:tripId/seats', validate(tripSchemas.getSeatMap), tripController.getSeatMap);
+
+// GET /api/trips/:tripId/fare?seats=1,2 - Quote the fare for seats on a trip
+router.get('/:tripId/fare', validate(tripSchemas.getFareQuote), tripController.getFareQuote);
+
+// POST /api/trips/:tripId/waitlist - Join the waitlist of a sold-out trip (requires authentication)
+router.post(
+  '/:tripId/waitlist',
+  authGuard,
+  requirePermission('waitlist:manage:own'),
+  validate(tripSchemas.joinWaitlist),
+  waitlistController.joinWaitlist
+);
+
+// GET /api/trips/:tripId/waitlist - Get your waitlist position or offer (requires authentication)
+router.get(
+  '/:tripId/waitlist',
+  authGuard,
+  requirePermission('waitlist:manage:own'),
+  validate(tripSchemas.getWaitlistEntry),
+  waitlistController.getWaitlistEntry
+);
+
+// DELETE /api/trips/:tripId/waitlist - Leave the waitlist (requires authentication)
+router.delete(
+  '/:tripId/waitlist',
+  authGuard,
+  requirePermission('waitlist:manage:own'),
+  validate(tripSchemas.leaveWaitlist),
+  waitlistController.leaveWaitlist
+);
+
+// POST /api/trips/:tripId/boarding - Check a passenger in by ticket QR or booking ID (operators)
+router.post(
+  '/:tripId/boarding',
+  authGuard,
+  requirePermission('trips:manifest'),
+  validate(tripSchemas.checkIn),
+  boardingController.checkIn
+);
+
+// GET /api/trips/:tripId/manifest - Who has and hasn't boarded (operators)
+router.get(
+  '/:tripId/manifest',
+  authGuard,
+  requirePermission('trips:manifest'),
+  validate(tripSchemas.getManifest),
+  boardingController.getManifest
+);
+
+module.exports = router;
@@ -3,12 +3,20 @@ const cors = require('cors');
 require('dotenv').config();
 
 // Import routes
-const authRoutes = require('./routes/authRoutes');
-const bookingRoutes = require('./routes/bookingRoutes');
+const { apiRouter } = require('./routes');
+const docsRoutes = require('./routes/docsRoutes');
+const { API_PREFIX, getSpec } = require('./docs/openapi');
+const deprecatedAlias = require('./middleware/deprecatedAlias');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Vercel sits in front as a proxy; trust it so req.ip is the client's address for rate limiting
+if (process.env.VERCEL === '1') {
+  app.set('trust proxy', 1);
+}
+
 // Import database connection
 const { connectDB, checkConnection } = require('./config/dbConnect');
 
@@ -17,9 +25,20 @@ if (process.env.NODE_ENV !== 'production') {
   connectDB().catch(console.error);
 }
 
+// Background jobs (Vercel functions don't live long enough to run them)
+const { startJobs } = require('./jobs');
+if (process.env.VERCEL !== '1') {
+  startJobs();
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body too: payment webhook signatures are computed over the exact bytes sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
@@ -28,19 +47,14 @@ app.get('/', (req, res) => {
     message: 'Welcome to BusTrek API',
     version: '1.0.0',
     status: 'Server is running successfully!',
-    endpoints: {
-      auth: {
-        signup: 'POST /api/auth/signup',
-        login: 'POST /api/auth/login',
-        logout: 'POST /api/auth/logout',
-        profile: 'GET /api/auth/profile'
-      },
-      booking: {
-        bookTicket: 'POST /api/bookTicket (requires auth token)',
-        getBookingHistory: 'GET /api/getBookingHistory (requires auth token)',
-        getBooking: 'GET /api/getBooking/:bookingId'
-      }
-    }
+    docs: `${API_PREFIX}/docs`,
+    openapi: `${API_PREFIX}/openapi.json`,
+    // Generated from the routes, so it can't drift from what is actually served
+    endpoints: Object.entries(getSpec().paths).flatMap(([path, operations]) => (
+      Object.entries(operations).map(([method, operation]) => (
+        `${method.toUpperCase()} ${API_PREFIX}${path}${operation.security ? ' (requires auth token)' : ''}`
+      ))
+    ))
   });
 });
 
@@ -59,42 +73,30 @@ app.get('/health', async (req, res) => {
       status: 'ERROR',
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
-      error: error.message,
+      ...(process.env.NODE_ENV !== 'production' && { error: error.message }),
       environment: process.env.NODE_ENV || 'development'
     });
   }
 });
 
 // API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api', bookingRoutes);
+app.use(API_PREFIX, docsRoutes);
+app.use(API_PREFIX, apiRouter);
+app.use(API_PREFIX, notFound);
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    success: false,
-    error: 'Something went wrong!',
-    message: err.message
-  });
-});
+// Unversioned paths from before /v1; same handlers, marked deprecated
+app.use('/api', deprecatedAlias(API_PREFIX), apiRouter);
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Route not found',
-    message: `Cannot ${req.method} ${req.originalUrl}`
-  });
-});
+// Unknown routes, then every error in one envelope
+app.use('*', notFound);
+app.use(errorHandler);
 
 // Start server
 app.listen(PORT, () => {
   console.log(`🚌 BusTrek API server is running on port ${PORT}`);
   console.log(`📍 Local: http://localhost:${PORT}`);
   console.log(`🏥 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔐 Auth endpoints: http://localhost:${PORT}/api/auth`);
-  console.log(`🎫 Booking endpoints: http://localhost:${PORT}/api/bookTicket`);
+  console.log(`📚 API docs: http://localhost:${PORT}${API_PREFIX}/docs`);
 });
 
 module.exports = app;
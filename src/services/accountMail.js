@@ -0,0 +1,57 @@
+const mailer = require('../config/mailer');
+const mailConfig = require('../config/mail');
+
+// Emails about a user's account
+
+const sendEmailVerification = (user, token) => {
+  const link = `${mailConfig.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return mailer.send({
+    to: user.email,
+    subject: 'Confirm your BusTrek email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm this is your email address by opening this link:',
+      link,
+      '',
+      'If you did not create a BusTrek account, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+const sendPasswordReset = (user, token, expiresAt) => {
+  const link = `${mailConfig.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+  const minutes = Math.round((expiresAt - Date.now()) / 60000);
+
+  return mailer.send({
+    to: user.email,
+    subject: 'Reset your BusTrek password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'We received a request to reset your BusTrek password. Open this link to choose a new one:',
+      link,
+      '',
+      `The link expires in ${minutes} minutes and can be used once.`,
+      'If you did not ask for this, you can ignore this email; your password stays the same.'
+    ].join('\n')
+  });
+};
+
+const sendPasswordChanged = (user) => mailer.send({
+  to: user.email,
+  subject: 'Your BusTrek password was changed',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'Your BusTrek password was just changed and you have been signed out on all devices.',
+    'If this wasn\'t you, reset your password straight away.'
+  ].join('\n')
+});
+
+module.exports = {
+  sendEmailVerification,
+  sendPasswordReset,
+  sendPasswordChanged
+};
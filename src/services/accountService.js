@@ -0,0 +1,197 @@
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const Trip = require('../models/Trip');
+const SeatHold = require('../models/SeatHold');
+const Payment = require('../models/Payment');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const Notification = require('../models/Notification');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const PromoUsage = require('../models/PromoUsage');
+const sessionManager = require('../config/sessions');
+const holdService = require('./holdService');
+const bookingService = require('./bookingService');
+const paymentService = require('./paymentService');
+const waitlistService = require('./waitlistService');
+const accountMail = require('./accountMail');
+const { AppError } = require('../utils/errors');
+
+const MIN_PASSWORD_LENGTH = User.schema.path('password').options.minlength[0];
+
+// What past bookings keep once their owner has deleted the account
+const ANONYMISED_DETAILS = {
+  'userDetails.name': 'Deleted user',
+  'userDetails.email': 'deleted-user@bustrek.invalid',
+  'userDetails.phone': 'redacted'
+};
+
+const getUser = async (userId) => {
+  const user = await User.findOne({ id: userId });
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  return user;
+};
+
+const assertPassword = async (user, password) => {
+  if (!password || !(await user.comparePassword(String(password)))) {
+    throw new AppError('Current password is incorrect', 401);
+  }
+};
+
+/**
+ * Update the editable profile fields.
+ * @param {string} userId - Authenticated user's ID
+ * @param {Object} changes - { name, phone }; omitted fields stay as they are
+ * @returns {Promise<User>} The updated user
+ */
+const updateProfile = async (userId, { name, phone }) => {
+  const user = await getUser(userId);
+
+  if (name !== undefined) user.name = name;
+  // An empty phone clears it
+  if (phone !== undefined) user.phone = phone ? String(phone).replace(/\D/g, '') : undefined;
+
+  await user.save();
+  return user;
+};
+
+/**
+ * Change a password after checking the current one. Every session ends, including
+ * the current one, so the caller should issue fresh tokens. Access tokens already
+ * issued keep working until they expire.
+ * @returns {Promise<User>} The updated user
+ */
+const changePassword = async (userId, currentPassword, newPassword) => {
+  const user = await getUser(userId);
+  await assertPassword(user, currentPassword);
+
+  if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+    throw new AppError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`, 400);
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  await sessionManager.deleteAllForUser(user.id);
+
+  try {
+    await accountMail.sendPasswordChanged(user);
+  } catch (error) {
+    console.error('Password changed email error:', error);
+  }
+
+  return user;
+};
+
+// Everything stored about a user: profile, bookings, payments, messages sent and waitlist places
+const exportData = async (userId) => {
+  const user = await getUser(userId);
+  const bookings = await Booking.find(bookingService.ownerFilter(user)).sort({ bookingTime: -1 });
+  const payments = await Payment.find({ userId: user.id }).sort({ createdAt: -1 });
+  const notifications = await Notification.find({ userId: user.id }).sort({ createdAt: -1 });
+  const waitlistEntries = await WaitlistEntry.find({ userId: user.id }).sort({ createdAt: -1 });
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      emailVerifiedAt: user.emailVerifiedAt,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    },
+    bookings,
+    payments: payments.map((payment) => ({
+      bookingId: payment.bookingId,
+      ...paymentService.toPaymentSummary(payment),
+      createdAt: payment.createdAt
+    })),
+    notifications: notifications.map((notification) => ({
+      type: notification.type,
+      channel: notification.channel,
+      recipient: notification.recipient,
+      subject: notification.subject,
+      text: notification.text,
+      status: notification.status,
+      sentAt: notification.sentAt,
+      createdAt: notification.createdAt
+    })),
+    waitlist: waitlistEntries.map((entry) => waitlistService.toEntrySummary(entry))
+  };
+};
+
+/**
+ * Delete an account. Past bookings are kept for accounting with their personal
+ * details anonymised; accounts with upcoming journeys can't be deleted.
+ * @param {string} userId - Authenticated user's ID
+ * @param {string} password - Current password, to confirm
+ * @returns {Promise<number>} How many bookings were anonymised
+ */
+const deleteAccount = async (userId, password) => {
+  const user = await getUser(userId);
+  await assertPassword(user, password);
+
+  const filter = bookingService.ownerFilter(user);
+
+  const activeTripIds = await Booking.distinct('tripId', {
+    ...filter,
+    status: { $in: ['pending_payment', ...Booking.TICKETED_STATUSES] },
+    tripId: { $exists: true }
+  });
+  const hasUpcomingTrip = activeTripIds.length > 0 && await Trip.exists({
+    tripId: { $in: activeTripIds },
+    status: 'scheduled',
+    departureAt: { $gt: new Date() }
+  });
+  if (hasUpcomingTrip) {
+    throw new AppError('Cancel your upcoming bookings before deleting your account', 409);
+  }
+
+  // Seats held mid-checkout (or offered from a waitlist) go back on sale now rather than when the hold expires
+  const holds = await SeatHold.find({ userId: user.id, status: 'active' });
+  for (const hold of holds) {
+    try {
+      await holdService.releaseHold(hold.holdId, user.id);
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+    }
+  }
+
+  // Setting userId also stops the legacy email match from ever pointing at these bookings
+  const { modifiedCount } = await Booking.updateMany(filter, {
+    $set: { ...ANONYMISED_DETAILS, userId: user.id }
+  });
+  // Cancellation reasons are free text and may be personal too
+  await Booking.updateMany(
+    { userId: user.id, 'cancellations.reason': { $exists: true } },
+    { $unset: { 'cancellations.$[].reason': 1 } }
+  );
+  // So are the passengers travelling on the bookings
+  await Booking.updateMany({ userId: user.id }, { $set: { passengers: [] } });
+  await Booking.updateMany(
+    { userId: user.id, 'cancellations.passengers.0': { $exists: true } },
+    { $set: { 'cancellations.$[].passengers': [] } }
+  );
+  // Responses kept for Idempotency-Key replays and messages sent repeat those details
+  await IdempotencyKey.deleteMany({ userId: user.id });
+  await Notification.deleteMany({ userId: user.id });
+  await WaitlistEntry.deleteMany({ userId: user.id });
+  // Per-passenger promo code counts are only needed while the account exists
+  await PromoUsage.deleteMany({ userId: user.id });
+
+  await sessionManager.deleteAllForUser(user.id);
+  await User.deleteOne({ id: user.id });
+
+  return modifiedCount;
+};
+
+module.exports = {
+  updateProfile,
+  changePassword,
+  exportData,
+  deleteAccount
+};
@@ -0,0 +1,73 @@
+const jwt = require('jsonwebtoken');
+const sessionManager = require('../config/sessions');
+const tokenConfig = require('../config/tokens');
+const { AppError } = require('../utils/errors');
+
+// Sign a short-lived access token for a session. It is checked without the session store,
+// so ending the session stops the refresh token at once and this one when it expires.
+const signAccessToken = ({ userId, email, role, sessionId }) => jwt.sign(
+  { email, role, sid: sessionId, typ: 'access' },
+  tokenConfig.jwtSecret,
+  {
+    subject: userId,
+    issuer: tokenConfig.issuer,
+    expiresIn: tokenConfig.accessTokenTtl,
+    algorithm: 'HS256'
+  }
+);
+
+// Verify an access token and return its claims (throws if invalid or expired)
+const verifyAccessToken = (token) => {
+  const claims = jwt.verify(token, tokenConfig.jwtSecret, {
+    issuer: tokenConfig.issuer,
+    algorithms: ['HS256']
+  });
+  if (claims.typ !== 'access') {
+    throw new jwt.JsonWebTokenError('Not an access token');
+  }
+  return claims;
+};
+
+// Token pair returned by login, signup and refresh
+const toTokenResponse = (session, refreshToken) => {
+  const accessToken = signAccessToken(session);
+  const { exp, iat } = jwt.decode(accessToken);
+
+  return {
+    tokenType: 'Bearer',
+    accessToken,
+    expiresIn: exp - iat,
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+    // Deprecated alias kept for clients that still read sessionToken
+    sessionToken: accessToken
+  };
+};
+
+// Start a new session (token family) for a user
+const issueTokens = async (user) => {
+  const { token, session } = await sessionManager.create(user.id, user.email, user.role);
+  return toTokenResponse(session, token);
+};
+
+// Rotate a refresh token; reusing an old one revokes the whole family
+const refreshTokens = async (refreshToken) => {
+  const result = await sessionManager.rotate(refreshToken);
+
+  if (!result) {
+    throw new AppError('Invalid or expired refresh token', 401);
+  }
+  if (result.reuseDetected) {
+    console.warn(`🚨 Refresh token reuse detected for user ${result.session.userId}; session revoked`);
+    throw new AppError('Refresh token has already been used; please log in again', 401);
+  }
+
+  return toTokenResponse(result.session, result.token);
+};
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  issueTokens,
+  refreshTokens
+};
@@ -0,0 +1,201 @@
+const Booking = require('../models/Booking');
+const tripCatalog = require('./tripCatalog');
+const ticketToken = require('./ticketToken');
+const boardingConfig = require('../config/boarding');
+const { formatDate, formatTime } = require('../utils/dateTime');
+const { AppError } = require('../utils/errors');
+
+const MINUTE = 60 * 1000;
+
+const bySeatNumber = (a, b) => a.seatNumber.localeCompare(b.seatNumber, undefined, { numeric: true });
+
+// Conductors can only check passengers in around the trip's departure
+const assertBoardingOpen = (trip, now) => {
+  if (trip.status === 'cancelled') {
+    throw new AppError('This trip has been cancelled', 409, undefined, 'TRIP_CANCELLED');
+  }
+
+  const opensAt = new Date(trip.departureAt.getTime() - boardingConfig.opensMinutesBefore * MINUTE);
+  const closesAt = new Date(trip.departureAt.getTime() + boardingConfig.closesMinutesAfter * MINUTE);
+  if (now < opensAt) {
+    throw new AppError(
+      `Boarding for this trip opens at ${formatTime(opensAt)} on ${formatDate(opensAt)}`,
+      409,
+      { opensAt },
+      'BOARDING_NOT_OPEN'
+    );
+  }
+  if (now > closesAt) {
+    throw new AppError('Boarding for this trip has closed', 409, { closesAt }, 'BOARDING_CLOSED');
+  }
+};
+
+// When and by whom seats boarded, so a client retrying its own scan can tell it went through
+const boardingDetails = (booking, seats) => booking.boarding
+  .filter((entry) => seats.includes(entry.seatNumber))
+  .map((entry) => ({ seatNumber: entry.seatNumber, boardedAt: entry.boardedAt, boardedBy: entry.boardedBy }));
+
+/**
+ * Check seats of a booking in at the bus door. The booking is identified by the signed
+ * token from its ticket's QR code, or by its ID when the passenger has no ticket to show.
+ * Seats that have boarded already are refused with ALREADY_BOARDED, whoever scans them;
+ * the error lists when and by whom, for clients retrying a scan that went through.
+ * @param {Object} params
+ * @param {string} params.tripId - Trip the conductor is boarding
+ * @param {string} [params.ticket] - Token scanned from the ticket
+ * @param {string} [params.bookingId] - Booking ID read out by the passenger
+ * @param {string[]} [params.seats] - Seats boarding now (every seat not yet boarded if omitted)
+ * @param {string} params.boardedBy - ID of the conductor
+ * @returns {Promise<Object>} { booking, boardedSeats }
+ */
+const checkIn = async ({ tripId, ticket, bookingId, seats, boardedBy }) => {
+  let revision;
+  if (ticket) {
+    const claims = ticketToken.verifyTicketToken(ticket);
+    if (bookingId && bookingId !== claims.bookingId) {
+      throw new AppError('Ticket is for a different booking', 400, undefined, 'INVALID_TICKET');
+    }
+    if (claims.tripId !== tripId) {
+      throw new AppError('This ticket is for a different trip', 400, undefined, 'WRONG_TRIP');
+    }
+    bookingId = claims.bookingId;
+    revision = claims.revision;
+  }
+
+  const tripDetails = await tripCatalog.getTripDetails(tripId);
+  if (!tripDetails) {
+    throw new AppError('Trip not found', 404);
+  }
+  assertBoardingOpen(tripDetails.trip, new Date());
+
+  const booking = await Booking.findOne({ bookingId });
+  if (!booking) {
+    throw new AppError('Booking not found', 404);
+  }
+  if (booking.tripId !== tripId) {
+    throw new AppError(
+      `This booking is for a different trip (${booking.journeyDetails.date} ${booking.busDetails.departureTime})`,
+      400,
+      undefined,
+      'WRONG_TRIP'
+    );
+  }
+  // Tickets printed before the booking was changed no longer match it
+  if (revision !== undefined && revision !== booking.changes.length) {
+    throw new AppError('This ticket is out of date; the booking has been changed since', 409, undefined, 'TICKET_OUTDATED');
+  }
+  if (booking.status === 'pending_payment') {
+    throw new AppError('This booking has not been paid for', 409, undefined, 'PAYMENT_PENDING');
+  }
+  if (!Booking.TICKETED_STATUSES.includes(booking.status)) {
+    throw new AppError(`This booking is ${booking.status}`, 409, undefined, 'BOOKING_CANCELLED');
+  }
+
+  const boarded = new Set(booking.boarding.map((entry) => entry.seatNumber));
+  let seatsToBoard;
+  if (seats) {
+    seatsToBoard = [...new Set(seats.map((seat) => String(seat).trim()))];
+    const notOnBooking = seatsToBoard.filter((seat) => !booking.selectedSeats.includes(seat));
+    if (notOnBooking.length > 0) {
+      throw new AppError(`Seats not on this booking: ${notOnBooking.join(', ')}`, 400);
+    }
+    const alreadyBoarded = seatsToBoard.filter((seat) => boarded.has(seat));
+    if (alreadyBoarded.length > 0) {
+      throw new AppError(
+        `Seats already boarded: ${alreadyBoarded.join(', ')}`,
+        409,
+        { alreadyBoarded, boarding: boardingDetails(booking, alreadyBoarded) },
+        'ALREADY_BOARDED'
+      );
+    }
+  } else {
+    seatsToBoard = booking.selectedSeats.filter((seat) => !boarded.has(seat));
+    if (seatsToBoard.length === 0) {
+      throw new AppError(
+        'Every seat on this booking has already boarded',
+        409,
+        { alreadyBoarded: booking.selectedSeats, boarding: boardingDetails(booking, booking.selectedSeats) },
+        'ALREADY_BOARDED'
+      );
+    }
+  }
+
+  const now = new Date();
+  const entries = seatsToBoard.map((seatNumber) => ({ seatNumber, boardedAt: now, boardedBy }));
+
+  // Only apply on top of the version checked above, so a seat can't board twice and a
+  // cancellation or change racing with the scan wins cleanly
+  const updated = await Booking.findOneAndUpdate(
+    { bookingId, __v: booking.__v, status: { $in: Booking.TICKETED_STATUSES } },
+    { $push: { boarding: { $each: entries } }, $inc: { __v: 1 } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new AppError('Booking was changed by another request, please retry', 409);
+  }
+
+  return { booking: updated, boardedSeats: seatsToBoard };
+};
+
+/**
+ * List every booked seat on a trip and whether its passenger has boarded.
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<Object|null>} Manifest, or null if the trip doesn't exist
+ */
+const getManifest = async (tripId) => {
+  const tripDetails = await tripCatalog.getTripDetails(tripId);
+  if (!tripDetails) return null;
+
+  const { trip, bus, route } = tripDetails;
+  const bookings = await Booking.find({ tripId, status: { $in: Booking.TICKETED_STATUSES } });
+
+  const seats = [];
+  for (const booking of bookings) {
+    const passengers = new Map(booking.passengers.map((passenger) => [passenger.seatNumber, passenger]));
+    const boarding = new Map(booking.boarding.map((entry) => [entry.seatNumber, entry]));
+
+    for (const seatNumber of booking.selectedSeats) {
+      const passenger = passengers.get(seatNumber);
+      const boarded = boarding.get(seatNumber);
+      seats.push({
+        seatNumber,
+        bookingId: booking.bookingId,
+        // Bookings without passenger details only name the person who booked
+        name: passenger ? passenger.name : booking.userDetails.name,
+        age: passenger?.age,
+        gender: passenger?.gender,
+        phone: booking.userDetails.phone,
+        boarded: Boolean(boarded),
+        boardedAt: boarded?.boardedAt
+      });
+    }
+  }
+  seats.sort(bySeatNumber);
+
+  const boarded = seats.filter((seat) => seat.boarded);
+  const notBoarded = seats.filter((seat) => !seat.boarded);
+
+  return {
+    trip: {
+      tripId,
+      from: route.from,
+      to: route.to,
+      date: trip.date,
+      departureTime: formatTime(trip.departureAt),
+      busName: bus.busName,
+      status: trip.status
+    },
+    summary: {
+      booked: seats.length,
+      boarded: boarded.length,
+      notBoarded: notBoarded.length
+    },
+    boarded,
+    notBoarded
+  };
+};
+
+module.exports = {
+  checkIn,
+  getManifest
+};
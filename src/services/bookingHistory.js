@@ -0,0 +1,196 @@
+const Booking = require('../models/Booking');
+const Route = require('../models/Route');
+const bookingService = require('./bookingService');
+const { formatDate } = require('../utils/dateTime');
+const { AppError } = require('../utils/errors');
+
+// Sort keys clients may pick, and the booking field behind each
+const SORT_FIELDS = {
+  bookingTime: 'bookingTime',
+  journeyDate: 'journeyDetails.date',
+  totalAmount: 'totalAmount'
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const invalidCursor = () => new AppError('Invalid or expired cursor', 400, undefined, 'INVALID_CURSOR');
+
+// Cursors are opaque to clients: the sort they belong to, the boundary booking's
+// sort value and bookingId (the tie-breaker), and which way to page from it
+const encodeCursor = ({ sortBy, order }, booking, direction) => {
+  const value = sortBy === 'bookingTime'
+    ? booking.bookingTime.toISOString()
+    : booking.get(SORT_FIELDS[sortBy]);
+  return Buffer.from(JSON.stringify({
+    s: sortBy,
+    o: order,
+    v: value,
+    id: booking.bookingId,
+    d: direction
+  })).toString('base64url');
+};
+
+const decodeCursor = (cursor, { sortBy, order }) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  // A cursor only makes sense for the sort it was issued with
+  if (!payload || payload.s !== sortBy || payload.o !== order ||
+      typeof payload.id !== 'string' || !['next', 'prev'].includes(payload.d)) {
+    throw invalidCursor();
+  }
+
+  let value = payload.v;
+  if (sortBy === 'bookingTime') {
+    value = new Date(value);
+    if (typeof payload.v !== 'string' || Number.isNaN(value.getTime())) throw invalidCursor();
+  } else if (sortBy === 'totalAmount' && typeof value !== 'number') {
+    throw invalidCursor();
+  } else if (sortBy === 'journeyDate' && typeof value !== 'string') {
+    throw invalidCursor();
+  }
+
+  return { value, bookingId: payload.id, direction: payload.d };
+};
+
+// Bookings strictly after (or before) the cursor's booking in the given sort order
+const keysetFilter = (field, { value, bookingId }, ascending) => {
+  const op = ascending ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, bookingId: { [op]: bookingId } }
+    ]
+  };
+};
+
+// Bookings made before departureAt was snapshotted only have the journey date to go by
+const timeframeFilter = (timeframe, now) => {
+  const today = formatDate(now);
+  const legacy = { 'journeyDetails.departureAt': { $exists: false } };
+
+  if (timeframe === 'upcoming') {
+    return {
+      $or: [
+        { 'journeyDetails.departureAt': { $gt: now } },
+        { ...legacy, 'journeyDetails.date': { $gte: today } }
+      ]
+    };
+  }
+  return {
+    $or: [
+      { 'journeyDetails.departureAt': { $lte: now } },
+      { ...legacy, 'journeyDetails.date': { $lt: today } }
+    ]
+  };
+};
+
+// Build the Mongo filter for a user's bookings from the history query
+const buildFilter = (user, { timeframe, dateFrom, dateTo, from, to, status }) => {
+  if (dateFrom && dateTo && dateFrom > dateTo) {
+    throw new AppError('dateFrom must not be after dateTo', 400);
+  }
+
+  const conditions = [bookingService.ownerFilter(user)];
+
+  if (timeframe) {
+    conditions.push(timeframeFilter(timeframe, new Date()));
+  }
+  // Journey dates are YYYY-MM-DD strings, so they compare in date order
+  if (dateFrom || dateTo) {
+    conditions.push({
+      'journeyDetails.date': {
+        ...(dateFrom && { $gte: dateFrom }),
+        ...(dateTo && { $lte: dateTo })
+      }
+    });
+  }
+  if (from) {
+    conditions.push({ 'journeyDetails.from': from.trim() });
+  }
+  if (to) {
+    conditions.push({ 'journeyDetails.to': to.trim() });
+  }
+  if (status && status.length > 0) {
+    conditions.push({ status: { $in: status } });
+  }
+
+  return { $and: conditions };
+};
+
+/**
+ * List a user's bookings a page at a time, using cursor (keyset) pagination so
+ * pages stay stable while new bookings come in.
+ * @param {Object} user - Booking owner (User document)
+ * @param {Object} query - Validated query: timeframe, dateFrom, dateTo, from, to,
+ *   status, sortBy, order, limit, cursor
+ * @returns {Promise<Object>} { bookings, page: { total, limit, sortBy, order, hasNext, hasPrev, nextCursor, prevCursor } }
+ */
+const listBookings = async (user, query = {}) => {
+  const sort = {
+    sortBy: query.sortBy || 'bookingTime',
+    order: query.order || 'desc'
+  };
+  const limit = Math.min(query.limit || DEFAULT_LIMIT, MAX_LIMIT);
+  const field = SORT_FIELDS[sort.sortBy];
+  const ascending = sort.order === 'asc';
+
+  const filter = buildFilter(user, query);
+  const cursor = query.cursor ? decodeCursor(query.cursor, sort) : null;
+
+  // Paging backwards walks the sort in reverse, then flips the page back round
+  const backwards = cursor?.direction === 'prev';
+  const walkAscending = backwards ? !ascending : ascending;
+  const direction = walkAscending ? 1 : -1;
+
+  const pageFilter = cursor
+    ? { $and: [filter, keysetFilter(field, cursor, walkAscending)] }
+    : filter;
+
+  // Route names match case-insensitively, as in trip search
+  const [found, total] = await Promise.all([
+    Booking.find(pageFilter)
+      .collation(Route.CITY_COLLATION)
+      .sort({ [field]: direction, bookingId: direction })
+      .limit(limit + 1),
+    Booking.countDocuments(filter).collation(Route.CITY_COLLATION)
+  ]);
+
+  // One extra booking tells us whether there is another page that way
+  const hasMore = found.length > limit;
+  const bookings = found.slice(0, limit);
+  if (backwards) bookings.reverse();
+
+  const hasNext = backwards ? Boolean(cursor) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor);
+
+  return {
+    bookings,
+    page: {
+      total,
+      limit,
+      sortBy: sort.sortBy,
+      order: sort.order,
+      hasNext,
+      hasPrev,
+      nextCursor: hasNext && bookings.length > 0
+        ? encodeCursor(sort, bookings[bookings.length - 1], 'next')
+        : null,
+      prevCursor: hasPrev && bookings.length > 0
+        ? encodeCursor(sort, bookings[0], 'prev')
+        : null
+    }
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  listBookings
+};
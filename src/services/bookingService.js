@@ -0,0 +1,559 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Booking = require('../models/Booking');
+const Trip = require('../models/Trip');
+const tripCatalog = require('./tripCatalog');
+const seatInventory = require('./seatInventory');
+const holdService = require('./holdService');
+const paymentService = require('./paymentService');
+const waitlistService = require('./waitlistService');
+const promoService = require('./promoService');
+const pricing = require('./pricing');
+const refundPolicy = require('./refundPolicy');
+const changePolicy = require('../config/changePolicy');
+const { hasPermission } = require('../config/permissions');
+const { AppError } = require('../utils/errors');
+
+// Query for a user's bookings; older bookings are matched by the email they were made with
+const ownerFilter = (user) => ({
+  $or: [
+    { userId: user.id },
+    { userId: { $exists: false }, 'userDetails.email': user.email }
+  ]
+});
+
+const isOwner = (booking, user) => (booking.userId
+  ? booking.userId === user.id
+  : booking.userDetails.email === user.email);
+
+// Owners can see and manage their bookings, admins can manage anyone's
+const canAccessBooking = (booking, user) => (
+  isOwner(booking, user) || hasPermission(user.role, 'bookings:manage:any')
+);
+
+const sameSeats = (a, b) => a.length === b.length && a.every((seat) => b.includes(seat));
+
+/**
+ * Check that there is exactly one passenger for each seat and put them in seat order.
+ * @param {string[]} seats - Normalised seat numbers of the booking
+ * @param {Object[]} passengers - [{ seatNumber, name, age, gender, idDocument }]
+ * @returns {Object[]} The passengers, ordered like seats
+ */
+const assignPassengers = (seats, passengers) => {
+  const bySeat = new Map();
+  const duplicateSeats = [];
+  for (const passenger of passengers) {
+    const seatNumber = String(passenger.seatNumber).trim();
+    if (bySeat.has(seatNumber)) duplicateSeats.push(seatNumber);
+    bySeat.set(seatNumber, { ...passenger, seatNumber });
+  }
+
+  const missingSeats = seats.filter((seat) => !bySeat.has(seat));
+  const unknownSeats = [...bySeat.keys()].filter((seat) => !seats.includes(seat));
+  if (duplicateSeats.length > 0 || missingSeats.length > 0 || unknownSeats.length > 0) {
+    throw new AppError(
+      'Passengers must match the selected seats, one passenger per seat',
+      400,
+      { duplicateSeats, missingSeats, unknownSeats },
+      'PASSENGER_MISMATCH'
+    );
+  }
+
+  return seats.map((seat) => bySeat.get(seat));
+};
+
+// Carry a booking's passengers over to new seats: anyone whose seat is kept stays put,
+// the others move to the new seats in order
+const movePassengers = (booking, newSeats) => {
+  const passengers = booking.passengers.map((passenger) => passenger.toObject());
+  if (passengers.length === 0) return [];
+
+  const staying = new Map(passengers
+    .filter((passenger) => newSeats.includes(passenger.seatNumber))
+    .map((passenger) => [passenger.seatNumber, passenger]));
+  const moving = passengers.filter((passenger) => !staying.has(passenger.seatNumber));
+
+  return newSeats
+    .map((seat) => staying.get(seat) || (moving.length > 0 ? { ...moving.shift(), seatNumber: seat } : null))
+    .filter(Boolean);
+};
+
+// Load a trip that is still open for booking
+const getBookableTrip = async (tripId) => {
+  const tripDetails = await tripCatalog.getTripDetails(tripId);
+  if (!tripDetails) {
+    throw new AppError('Trip not found', 404);
+  }
+  if (!tripCatalog.isBookable(tripDetails.trip)) {
+    throw new AppError('This trip is no longer open for booking', 400);
+  }
+  return tripDetails;
+};
+
+// Whether a booking (or a change to it) was stored after all; a check that fails too counts as maybe
+const isStored = async (filter) => {
+  try {
+    return Boolean(await Booking.exists(filter));
+  } catch (error) {
+    return true;
+  }
+};
+
+/**
+ * Create a booking, either for freshly selected seats or from an active seat hold.
+ * The booking waits for payment with its seats reserved (see paymentService).
+ * Seats (and a use of the promo code) are secured before the booking is stored and
+ * given back if storing fails.
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated user document
+ * @param {string} [params.tripId] - Trip to book (taken from the hold when holdId is given)
+ * @param {string[]} [params.selectedSeats] - Seats to book (must match the hold when holdId is given)
+ * @param {string} [params.holdId] - Hold to convert into the booking
+ * @param {Object} params.userDetails - Contact details for the booking
+ * @param {Object[]} [params.passengers] - One passenger per seat
+ * @param {string} [params.promoCode] - Promo code to apply to the fare
+ * @param {number} params.totalAmount - Total the client was quoted; must match the server fare
+ * @param {string} [params.bookingId] - ID for the booking; keep it the same when retrying the call
+ * @returns {Promise<Booking>} The saved booking
+ */
+const createBooking = async ({
+  bookingId = uuidv4(),
+  user,
+  tripId,
+  selectedSeats,
+  holdId,
+  userDetails,
+  passengers,
+  promoCode,
+  totalAmount,
+  bookingTime
+}) => {
+  // A retried call (e.g. withConnection after a lost acknowledgement) finds the booking
+  // its earlier attempt already stored
+  const stored = await Booking.findOne({ bookingId, userId: user.id });
+  if (stored) {
+    return stored;
+  }
+
+  let hold;
+  if (holdId) {
+    hold = await holdService.getActiveHold(holdId, user.id);
+    if (tripId && tripId !== hold.tripId) {
+      throw new AppError('Hold belongs to a different trip', 400);
+    }
+  }
+
+  const tripDetails = await getBookableTrip(hold ? hold.tripId : tripId);
+  const { busDetails, journeyDetails } = tripCatalog.toBookingDetails(tripDetails);
+
+  let seats;
+  if (hold) {
+    seats = hold.seats;
+    if (selectedSeats && !sameSeats(seatInventory.normalizeSeats(tripDetails.bus, selectedSeats), seats)) {
+      throw new AppError('Selected seats do not match the hold', 400);
+    }
+  } else {
+    seats = seatInventory.normalizeSeats(tripDetails.bus, selectedSeats);
+  }
+  const seatPassengers = passengers ? assignPassengers(seats, passengers) : [];
+
+  const { fareBreakdown, promo } = await promoService.quoteWithPromo({
+    tripDetails,
+    seats,
+    promoCode,
+    userId: user.id
+  });
+  pricing.assertQuoteMatches(totalAmount, fareBreakdown);
+
+  const bookingData = {
+    bookingId,
+    userId: user.id,
+    tripId: tripDetails.trip.tripId,
+    selectedSeats: seats,
+    passengers: seatPassengers,
+    userDetails,
+    busDetails,
+    journeyDetails,
+    totalAmount: fareBreakdown.total,
+    fareBreakdown,
+    ...(promo && { promo: { ...promoService.toPromoSnapshot(promo), redeemed: true } }),
+    status: 'pending_payment',
+    paymentExpiresAt: paymentService.paymentDeadline(),
+    bookingTime: bookingTime ? new Date(bookingTime) : new Date()
+  };
+
+  // Take the promo code's use first; a code used up by concurrent checkouts stops here
+  if (promo) {
+    await promoService.redeemPromo(promo, user.id);
+  }
+
+  // Then secure the seats; a conflict or expired hold stops here.
+  // They stay held until the booking is paid for, and are only sold then.
+  try {
+    if (hold) {
+      await holdService.convertHold(hold, bookingId, bookingData.paymentExpiresAt);
+    } else {
+      await seatInventory.claimSeats(bookingData.tripId, seats, {
+        status: 'held',
+        bookingId,
+        userId: user.id,
+        expiresAt: bookingData.paymentExpiresAt
+      });
+    }
+  } catch (error) {
+    if (promo) await promoService.releasePromo(promo.promoId, user.id);
+    throw error;
+  }
+
+  const booking = new Booking(bookingData);
+  try {
+    await booking.save();
+  } catch (error) {
+    // Give the seats back if the booking could not be stored. A lost acknowledgement can hide
+    // a save that went through, and the retry returns that booking, so its seats stay until
+    // the booking is known not to exist; a retried claim takes back seats it already holds.
+    if (await isStored({ bookingId })) throw error;
+    await seatInventory.releaseSeats(bookingData.tripId, seats, { bookingId });
+    if (promo) await promoService.releasePromo(promo.promoId, user.id);
+    throw error;
+  }
+
+  if (hold) {
+    await waitlistService.recordBooking(hold.holdId, bookingId);
+  }
+  return booking;
+};
+
+// Save a booking, turning a lost optimistic-concurrency race into a 409
+const saveBooking = async (booking) => {
+  try {
+    await booking.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      throw new AppError('Booking was changed by another request, please retry', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Cancel a whole booking or some of its seats and refund according to the refund policy.
+ * Refunds of paid bookings go back through the payment gateway. The cancelled seats go
+ * back into the trip's seat inventory.
+ * @param {Object} params
+ * @param {string} [params.cancellationId] - ID for the cancellation; keep it the same when retrying the call
+ * @param {Booking} params.booking - Booking to cancel
+ * @param {string[]} [params.seats] - Seats to cancel (all remaining seats if omitted)
+ * @param {string} [params.reason] - Reason given by the passenger
+ * @param {string} params.cancelledBy - ID of the user cancelling
+ * @returns {Promise<Object>} { cancellation, booking } with the booking as it is now
+ */
+const cancelBooking = async ({ cancellationId = uuidv4(), booking, seats, reason, cancelledBy }) => {
+  // A retried call (e.g. withConnection after a lost acknowledgement) finds the cancellation
+  // its earlier attempt stored, and finishes it
+  const stored = booking.cancellations.find((entry) => entry.cancellationId === cancellationId);
+  if (stored) {
+    return settleCancellation(booking, stored.toObject());
+  }
+
+  if (Booking.CLOSED_STATUSES.includes(booking.status)) {
+    throw new AppError(`Booking is already ${booking.status}`, 409);
+  }
+  if (booking.status === 'pending_payment') {
+    return cancelUnpaidBooking({ cancellationId, booking, seats, reason, cancelledBy });
+  }
+  if (!booking.tripId) {
+    throw new AppError('This booking cannot be cancelled online', 400);
+  }
+
+  const trip = await Trip.findOne({ tripId: booking.tripId });
+  const refundPercent = trip ? refundPolicy.getRefundPercent(trip.departureAt) : null;
+  if (refundPercent === null) {
+    throw new AppError('Bookings cannot be cancelled after departure', 400);
+  }
+
+  const seatsToCancel = seats
+    ? [...new Set(seats.map((seat) => String(seat).trim()))]
+    : [...booking.selectedSeats];
+  const notOnBooking = seatsToCancel.filter((seat) => !booking.selectedSeats.includes(seat));
+  if (notOnBooking.length > 0) {
+    throw new AppError(`Seats not on this booking: ${notOnBooking.join(', ')}`, 400);
+  }
+
+  const boardedSeats = booking.boarding
+    .map((entry) => entry.seatNumber)
+    .filter((seat) => seatsToCancel.includes(seat));
+  if (boardedSeats.length > 0) {
+    throw new AppError(`Seats already boarded cannot be cancelled: ${boardedSeats.join(', ')}`, 409);
+  }
+
+  const remainingSeats = booking.selectedSeats.filter((seat) => !seatsToCancel.includes(seat));
+  const refundAmount = refundPolicy.calculateRefund(
+    booking,
+    seatsToCancel,
+    refundPercent,
+    remainingSeats.length === 0
+  );
+
+  const paidOnline = Boolean(booking.paymentId);
+  const cancellation = {
+    cancellationId,
+    seats: seatsToCancel,
+    reason,
+    refundPercent,
+    refundAmount,
+    refundId: refundAmount > 0 && paidOnline ? uuidv4() : undefined,
+    refundStatus: refundAmount > 0 ? (paidOnline ? 'pending' : 'manual') : 'none',
+    cancelledBy,
+    cancelledAt: new Date()
+  };
+
+  // Passengers leave the booking with their seats
+  const cancelledPassengers = booking.passengers.filter((passenger) => seatsToCancel.includes(passenger.seatNumber));
+  if (cancelledPassengers.length > 0) {
+    cancellation.passengers = cancelledPassengers.map((passenger) => passenger.toObject());
+  }
+
+  booking.selectedSeats = remainingSeats;
+  booking.passengers = booking.passengers.filter((passenger) => !seatsToCancel.includes(passenger.seatNumber));
+  booking.status = remainingSeats.length === 0 ? 'cancelled' : 'partially_cancelled';
+  booking.cancellations.push(cancellation);
+  booking.refundAmount = pricing.roundMoney(booking.refundAmount + refundAmount);
+  await saveBooking(booking);
+
+  return settleCancellation(booking, cancellation);
+};
+
+// Give back the seats (and an unpaid booking's promo code use) of a stored cancellation
+// and pay out its refund; safe to run again
+const settleCancellation = async (booking, cancellation) => {
+  await seatInventory.releaseSeats(booking.tripId, cancellation.seats, { bookingId: booking.bookingId });
+  if (cancellation.unpaid) {
+    await promoService.releaseBookingPromo(booking);
+  }
+
+  // The cancellation stands even if the refund fails; failed refunds are retried by hand
+  if (cancellation.refundId && cancellation.refundStatus === 'pending') {
+    cancellation.refundStatus = await paymentService.refundBooking({
+      booking,
+      amount: cancellation.refundAmount,
+      refundId: cancellation.refundId,
+      reason: 'booking_cancelled'
+    });
+    return { cancellation, booking: await Booking.findOne({ bookingId: booking.bookingId }) };
+  }
+
+  return { cancellation, booking };
+};
+
+// Call off a booking that hasn't been paid for; nothing was charged, so nothing is refunded
+const cancelUnpaidBooking = async ({ cancellationId, booking, seats, reason, cancelledBy }) => {
+  if (seats && !sameSeats([...new Set(seats.map((seat) => String(seat).trim()))], booking.selectedSeats)) {
+    throw new AppError('Unpaid bookings can only be cancelled as a whole', 400);
+  }
+
+  const cancellation = {
+    cancellationId,
+    seats: [...booking.selectedSeats],
+    reason,
+    refundPercent: 0,
+    refundAmount: 0,
+    refundStatus: 'none',
+    unpaid: true,
+    cancelledBy,
+    cancelledAt: new Date()
+  };
+  if (booking.passengers.length > 0) {
+    cancellation.passengers = booking.passengers.map((passenger) => passenger.toObject());
+  }
+
+  // Stored together with the closing, so a retry finds it
+  const closed = await paymentService.closeUnpaidBooking(booking, 'cancelled', cancellation);
+  if (!closed) {
+    throw new AppError('Booking was changed by another request, please retry', 409);
+  }
+
+  return { cancellation, booking: closed };
+};
+
+const sumAmounts = (lines = []) => lines.reduce((sum, line) => sum + line.amount, 0);
+
+// Give back the seats a stored change moved off; safe to run again
+const releaseChangedSeats = (bookingId, { from, to }) => {
+  const seats = from.tripId === to.tripId
+    ? from.seats.filter((seat) => !to.seats.includes(seat))
+    : from.seats;
+  return seatInventory.releaseSeats(from.tripId, seats, { bookingId });
+};
+
+/**
+ * Move a booking to another trip on the same route and/or to different seats,
+ * keeping the booking ID. New seats are claimed before anything is changed and
+ * the old seats are released once the booking is saved. The booking takes the new
+ * fare, but the balance (amountDue or refundDue on the change) is settled outside
+ * the API; refunds of later cancellations go by what was actually paid.
+ * @param {Object} params
+ * @param {string} [params.changeId] - ID for the change; keep it the same when retrying the call
+ * @param {Booking} params.booking - Booking to change
+ * @param {string} [params.tripId] - New trip (defaults to the current trip)
+ * @param {string[]} [params.seats] - New seats (defaults to the same seat numbers)
+ * @param {Object[]} [params.passengers] - Passengers for the new seats (moved from the old seats if omitted)
+ * @param {string} params.changedBy - ID of the user making the change
+ * @param {boolean} [params.dryRun] - Only price the change, don't apply it
+ * @returns {Promise<Object>} { change, fareBreakdown, passengers } for the new trip and seats
+ */
+const modifyBooking = async ({
+  changeId = uuidv4(),
+  booking,
+  tripId,
+  seats,
+  passengers,
+  changedBy,
+  dryRun = false
+}) => {
+  // A retried call finds the change its earlier attempt stored, and finishes it
+  const applied = booking.changes.find((entry) => entry.changeId === changeId);
+  if (applied) {
+    const change = applied.toObject();
+    await releaseChangedSeats(booking.bookingId, change);
+    return { change, fareBreakdown: booking.toObject().fareBreakdown, passengers: booking.passengers };
+  }
+
+  if (booking.status === 'pending_payment') {
+    throw new AppError('Pay for the booking before changing it', 409);
+  }
+  if (!Booking.TICKETED_STATUSES.includes(booking.status)) {
+    throw new AppError(`Bookings that are ${booking.status} cannot be changed`, 409);
+  }
+  if (!booking.tripId) {
+    throw new AppError('This booking cannot be changed online', 400);
+  }
+  if (booking.boarding.length > 0) {
+    throw new AppError('Bookings cannot be changed once passengers have boarded', 409);
+  }
+
+  const currentTrip = await Trip.findOne({ tripId: booking.tripId });
+  const cutoff = new Date(Date.now() + changePolicy.cutoffHours * 3600000);
+  if (!currentTrip || currentTrip.departureAt <= cutoff) {
+    throw new AppError(`Bookings can only be changed up to ${changePolicy.cutoffHours} hours before departure`, 400);
+  }
+
+  const targetTripId = tripId || booking.tripId;
+  const sameTrip = targetTripId === booking.tripId;
+  const tripDetails = await getBookableTrip(targetTripId);
+  if (tripDetails.trip.routeId !== currentTrip.routeId) {
+    throw new AppError('Bookings can only be moved to a trip on the same route', 400);
+  }
+
+  const newSeats = seatInventory.normalizeSeats(tripDetails.bus, seats || booking.selectedSeats);
+  if (newSeats.length !== booking.selectedSeats.length) {
+    throw new AppError(`Select exactly ${booking.selectedSeats.length} seat(s)`, 400);
+  }
+  if (sameTrip && sameSeats(newSeats, booking.selectedSeats)) {
+    throw new AppError('The booking already has this trip and these seats', 400);
+  }
+  const newPassengers = passengers
+    ? assignPassengers(newSeats, passengers)
+    : movePassengers(booking, newSeats);
+
+  // Price the new seats, keeping the promo code discount the booking was made with;
+  // the booking fee was paid with the original booking
+  const { promo, fareBreakdown: previousFare } = booking.toObject();
+  const quote = pricing.quoteFare({ ...tripDetails, seats: newSeats, promo: promo?.promoId ? promo : undefined });
+  const seatsAmount = quote.subtotal - sumAmounts(quote.discounts) + sumAmounts(quote.taxes);
+  const previousFees = previousFare?.fees;
+  const fees = previousFees && previousFees.length > 0 ? previousFees : quote.fees;
+  const fareBreakdown = {
+    ...quote,
+    fees,
+    total: pricing.roundMoney(seatsAmount + sumAmounts(fees))
+  };
+
+  const paidForSeats = booking.selectedSeats
+    .reduce((sum, seat) => sum + refundPolicy.seatPaidAmount(booking, seat), 0);
+  const fareDifference = pricing.roundMoney(seatsAmount - paidForSeats);
+  // The balance isn't charged or refunded here, so what was paid for the old seats stays with
+  // the booking, spread over the new seats by their fares; later refunds go by it
+  const paidFares = newSeats.map((seat) => ({
+    seatNumber: seat,
+    amount: pricing.roundMoney(seatsAmount > 0
+      ? refundPolicy.seatAmount(fareBreakdown, seat) * (paidForSeats / seatsAmount)
+      : paidForSeats / newSeats.length)
+  }));
+  const balance = pricing.roundMoney(fareDifference + changePolicy.changeFee);
+  const { busDetails, journeyDetails } = tripCatalog.toBookingDetails(tripDetails);
+
+  const change = {
+    changeId,
+    from: {
+      tripId: booking.tripId,
+      seats: [...booking.selectedSeats],
+      departureTime: booking.busDetails.departureTime,
+      date: booking.journeyDetails.date
+    },
+    to: {
+      tripId: targetTripId,
+      seats: newSeats,
+      departureTime: busDetails.departureTime,
+      date: journeyDetails.date
+    },
+    fareDifference,
+    changeFee: changePolicy.changeFee,
+    amountDue: Math.max(0, balance),
+    refundDue: Math.max(0, -balance),
+    changedBy,
+    changedAt: new Date()
+  };
+
+  if (dryRun) {
+    return { change, fareBreakdown, passengers: newPassengers };
+  }
+
+  const { bookingId } = booking;
+  const seatsToClaim = sameTrip
+    ? newSeats.filter((seat) => !booking.selectedSeats.includes(seat))
+    : newSeats;
+
+  await seatInventory.claimSeats(targetTripId, seatsToClaim, {
+    status: 'sold',
+    bookingId,
+    userId: changedBy
+  });
+
+  booking.tripId = targetTripId;
+  booking.selectedSeats = newSeats;
+  booking.passengers = newPassengers;
+  booking.busDetails = busDetails;
+  booking.journeyDetails = journeyDetails;
+  booking.fareBreakdown = fareBreakdown;
+  booking.totalAmount = fareBreakdown.total;
+  booking.paidFares = paidFares;
+  booking.changes.push(change);
+  // A new departure deserves its own reminder
+  if (!sameTrip) {
+    booking.reminderSentAt = undefined;
+  }
+
+  try {
+    await saveBooking(booking);
+  } catch (error) {
+    // As in createBooking: the new seats only go back once the change is known not to be stored
+    if (await isStored({ bookingId, 'changes.changeId': changeId })) throw error;
+    await seatInventory.releaseSeats(targetTripId, seatsToClaim, { bookingId });
+    throw error;
+  }
+
+  await releaseChangedSeats(bookingId, change);
+
+  return { change, fareBreakdown, passengers: booking.passengers };
+};
+
+module.exports = {
+  ownerFilter,
+  canAccessBooking,
+  getBookableTrip,
+  createBooking,
+  saveBooking,
+  cancelBooking,
+  modifyBooking
+};
@@ -0,0 +1,199 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const ticketToken = require('./ticketToken');
+const { TIMEZONE, formatDate } = require('../utils/dateTime');
+
+// Printable e-tickets. Everything is drawn locally with pdfkit's built-in fonts and a
+// vector QR code, so rendering needs no network access.
+
+const PAGE_MARGIN = 50;
+const QR_SIZE = 140;
+const COLORS = { text: '#1f2933', muted: '#616e7c', rule: '#cbd2d9', accent: '#0b6e4f' };
+
+const formatMoney = (amount, currency = 'INR') => `${currency} ${Number(amount || 0).toFixed(2)}`;
+
+// Only the last four characters of an ID number are printed
+const maskDocumentNumber = (number) => (number.length > 4
+  ? `${'*'.repeat(number.length - 4)}${number.slice(-4)}`
+  : number);
+
+const ID_DOCUMENT_LABELS = {
+  aadhaar: 'Aadhaar',
+  passport: 'Passport',
+  driving_licence: 'Driving licence',
+  voter_id: 'Voter ID',
+  pan: 'PAN',
+  other: 'ID'
+};
+
+// Draw a QR code as filled squares, quiet zone included
+const drawQrCode = (doc, text, x, y, size) => {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const quietZone = 4;
+  const cell = size / (modules.size + quietZone * 2);
+
+  doc.save().rect(x, y, size, size).fill('#ffffff');
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) {
+        doc.rect(x + (col + quietZone) * cell, y + (row + quietZone) * cell, cell, cell);
+      }
+    }
+  }
+  doc.fill('#000000').restore();
+};
+
+const sectionHeading = (doc, title) => {
+  doc.moveDown(1.2)
+    .font('Helvetica-Bold').fontSize(12).fillColor(COLORS.accent)
+    .text(title.toUpperCase(), PAGE_MARGIN);
+  const y = doc.y + 2;
+  doc.moveTo(PAGE_MARGIN, y).lineTo(doc.page.width - PAGE_MARGIN, y)
+    .lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+  doc.moveDown(0.5).font('Helvetica').fontSize(10).fillColor(COLORS.text);
+};
+
+// One row of fixed-width columns; returns the y below the tallest cell
+const tableRow = (doc, columns, values, { bold = false } = {}) => {
+  const y = doc.y;
+  let x = PAGE_MARGIN;
+  let bottom = y;
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor(COLORS.text);
+  columns.forEach((column, index) => {
+    doc.text(values[index] ?? '', x, y, { width: column.width - 8, align: column.align || 'left' });
+    bottom = Math.max(bottom, doc.y);
+    x += column.width;
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = bottom + 4;
+};
+
+const drawPassengers = (doc, booking) => {
+  sectionHeading(doc, 'Passengers');
+
+  if (booking.passengers.length === 0) {
+    doc.text(`Seats: ${booking.selectedSeats.join(', ')}`);
+    doc.text(`Lead passenger: ${booking.userDetails.name}`);
+    return;
+  }
+
+  const columns = [
+    { width: 60 },
+    { width: 190 },
+    { width: 50, align: 'right' },
+    { width: 70 },
+    { width: 125 }
+  ];
+  tableRow(doc, columns, ['Seat', 'Name', 'Age', 'Gender', 'ID'], { bold: true });
+  for (const passenger of booking.passengers) {
+    const idDocument = passenger.idDocument?.number
+      ? `${ID_DOCUMENT_LABELS[passenger.idDocument.type] || 'ID'} ${maskDocumentNumber(passenger.idDocument.number)}`
+      : '';
+    tableRow(doc, columns, [
+      passenger.seatNumber,
+      passenger.name,
+      String(passenger.age),
+      passenger.gender,
+      idDocument
+    ]);
+  }
+};
+
+const drawFare = (doc, booking) => {
+  sectionHeading(doc, 'Fare');
+
+  const fare = booking.fareBreakdown || {};
+  const currency = fare.currency || 'INR';
+  const columns = [{ width: 345 }, { width: 150, align: 'right' }];
+
+  for (const seat of fare.seats || []) {
+    const label = seat.seatType ? `Seat ${seat.seatNumber} (${seat.seatType})` : `Seat ${seat.seatNumber}`;
+    tableRow(doc, columns, [label, formatMoney(seat.fare, currency)]);
+  }
+  if (fare.subtotal !== undefined) {
+    tableRow(doc, columns, ['Subtotal', formatMoney(fare.subtotal, currency)]);
+  }
+  for (const line of fare.discounts || []) {
+    tableRow(doc, columns, [line.description || line.code, `-${formatMoney(line.amount, currency)}`]);
+  }
+  for (const line of [...(fare.taxes || []), ...(fare.fees || [])]) {
+    tableRow(doc, columns, [line.description || line.code, formatMoney(line.amount, currency)]);
+  }
+  // A changed booking shows its new fare, which isn't what was paid
+  const totalLabel = booking.changes?.length > 0 ? 'Total' : 'Total paid';
+  tableRow(doc, columns, [totalLabel, formatMoney(booking.totalAmount, currency)], { bold: true });
+  if (booking.refundAmount > 0) {
+    tableRow(doc, columns, ['Refunded', formatMoney(booking.refundAmount, currency)]);
+  }
+};
+
+/**
+ * Render a booking's e-ticket.
+ * @param {Booking} booking - Booking with seats still on it
+ * @returns {Promise<Buffer>} PDF document
+ */
+const renderTicketPdf = (booking) => new Promise((resolve, reject) => {
+  const { busDetails, journeyDetails } = booking;
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `BusTrek e-ticket ${booking.bookingId}`,
+      Author: 'BusTrek'
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    const qrX = doc.page.width - PAGE_MARGIN - QR_SIZE;
+    drawQrCode(doc, ticketToken.signTicketToken(booking), qrX, PAGE_MARGIN, QR_SIZE);
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+      .text('Scan at boarding', qrX, PAGE_MARGIN + QR_SIZE + 4, { width: QR_SIZE, align: 'center' });
+
+    const textWidth = qrX - PAGE_MARGIN - 20;
+    doc.font('Helvetica-Bold').fontSize(22).fillColor(COLORS.accent)
+      .text('BusTrek e-ticket', PAGE_MARGIN, PAGE_MARGIN, { width: textWidth });
+    doc.moveDown(0.5).font('Helvetica-Bold').fontSize(16).fillColor(COLORS.text)
+      .text(`${journeyDetails.from} to ${journeyDetails.to}`, { width: textWidth });
+    doc.moveDown(0.3).font('Helvetica').fontSize(11)
+      .text(`${journeyDetails.date}  ·  Departs ${busDetails.departureTime}  ·  Arrives ${busDetails.arrivalTime}`, { width: textWidth })
+      .fillColor(COLORS.muted).fontSize(9)
+      .text(`Times are local (${TIMEZONE}). Journey time ${busDetails.duration}.`, { width: textWidth });
+    doc.moveDown(0.8).fillColor(COLORS.text).fontSize(10)
+      .text(`Booking ID: ${booking.bookingId}`, { width: textWidth })
+      .text(`Booked on: ${formatDate(booking.bookingTime)}`, { width: textWidth })
+      .text(`Status: ${booking.status.replace('_', ' ')}`, { width: textWidth });
+
+    doc.y = Math.max(doc.y, PAGE_MARGIN + QR_SIZE + 16);
+
+    sectionHeading(doc, 'Bus');
+    doc.text(`${busDetails.busName} (${busDetails.busType})`);
+    if (busDetails.amenities && busDetails.amenities.length > 0) {
+      doc.fillColor(COLORS.muted).text(`Amenities: ${busDetails.amenities.join(', ')}`).fillColor(COLORS.text);
+    }
+
+    drawPassengers(doc, booking);
+    drawFare(doc, booking);
+
+    sectionHeading(doc, 'Contact');
+    doc.text(`${booking.userDetails.name}  ·  ${booking.userDetails.email}  ·  ${booking.userDetails.phone}`);
+
+    doc.moveDown(2).fontSize(8).fillColor(COLORS.muted)
+      .text('Please carry a photo ID and show this ticket, printed or on your phone, when boarding. '
+        + 'The QR code stops working if the booking is changed or cancelled.', PAGE_MARGIN);
+
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+module.exports = {
+  renderTicketPdf
+};
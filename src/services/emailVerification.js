@@ -0,0 +1,70 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const tokenConfig = require('../config/tokens');
+const verificationConfig = require('../config/emailVerification');
+const accountMail = require('./accountMail');
+const { AppError } = require('../utils/errors');
+
+// Verification links carry a signed token tied to the address it was sent to, so a
+// link stops working if the user changes their email
+const signVerificationToken = (user) => jwt.sign(
+  { email: user.email, typ: 'email-verify' },
+  tokenConfig.jwtSecret,
+  {
+    subject: user.id,
+    issuer: tokenConfig.issuer,
+    expiresIn: verificationConfig.tokenTtl,
+    algorithm: 'HS256'
+  }
+);
+
+// Email a verification link to a user who isn't verified yet
+const sendVerification = async (user) => {
+  if (user.emailVerified) {
+    throw new AppError('Email is already verified', 409);
+  }
+  await accountMail.sendEmailVerification(user, signVerificationToken(user));
+};
+
+/**
+ * Mark a user's email as verified using the token from their link.
+ * Using a link again after verifying is harmless.
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<User>} The verified user
+ */
+const verifyEmail = async (token) => {
+  let claims;
+  try {
+    claims = jwt.verify(String(token), tokenConfig.jwtSecret, {
+      issuer: tokenConfig.issuer,
+      algorithms: ['HS256']
+    });
+  } catch (error) {
+    throw new AppError('Invalid or expired verification link', 400);
+  }
+  if (claims.typ !== 'email-verify') {
+    throw new AppError('Invalid or expired verification link', 400);
+  }
+
+  const user = await User.findOne({ id: claims.sub, email: claims.email });
+  if (!user) {
+    throw new AppError('Invalid or expired verification link', 400);
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+
+  return user;
+};
+
+// Whether a user may book under the current verification setting
+const canBook = (user) => !verificationConfig.required || user.emailVerified;
+
+module.exports = {
+  sendVerification,
+  verifyEmail,
+  canBook
+};
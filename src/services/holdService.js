@@ -0,0 +1,174 @@
+const { v4: uuidv4 } = require('uuid');
+const SeatHold = require('../models/SeatHold');
+const seatInventory = require('./seatInventory');
+const holdConfig = require('../config/holds');
+const { AppError } = require('../utils/errors');
+
+const expiryFromNow = (ttlMinutes = holdConfig.ttlMinutes) => new Date(Date.now() + ttlMinutes * 60000);
+
+// Shape a hold for API responses
+const toHoldSummary = (hold) => ({
+  holdId: hold.holdId,
+  tripId: hold.tripId,
+  seats: hold.seats,
+  status: hold.status,
+  expiresAt: hold.expiresAt,
+  extensionsLeft: Math.max(0, holdConfig.maxExtensions - hold.extensionCount),
+  bookingId: hold.bookingId
+});
+
+// Mark an active hold as expired and put its seats back into inventory
+const expireHold = async (hold) => {
+  const expired = await SeatHold.findOneAndUpdate(
+    { holdId: hold.holdId, status: 'active' },
+    { $set: { status: 'expired' } },
+    { new: true }
+  );
+  if (expired) {
+    await seatInventory.releaseSeats(hold.tripId, null, { holdId: hold.holdId });
+  }
+  return expired;
+};
+
+// Load a hold owned by the user, expiring it first if its time is up
+const getHold = async (holdId, userId) => {
+  const hold = await SeatHold.findOne({ holdId, userId });
+  if (!hold) {
+    throw new AppError('Hold not found', 404);
+  }
+
+  if (hold.status === 'active' && hold.expiresAt <= new Date()) {
+    await expireHold(hold);
+    hold.status = 'expired';
+  }
+
+  return hold;
+};
+
+// Load a hold that can still be extended, released or booked
+const getActiveHold = async (holdId, userId) => {
+  const hold = await getHold(holdId, userId);
+  if (hold.status !== 'active') {
+    throw new AppError(`Hold is no longer active (${hold.status})`, 410);
+  }
+  return hold;
+};
+
+// Reserve seats on a trip for the user until the hold expires (after the usual TTL unless ttlMinutes is given)
+const createHold = async ({ userId, trip, seats, ttlMinutes }) => {
+  if (seats.length > holdConfig.maxSeats) {
+    throw new AppError(`A hold can reserve at most ${holdConfig.maxSeats} seats`, 400);
+  }
+
+  const holdId = uuidv4();
+  const expiresAt = expiryFromNow(ttlMinutes);
+
+  await seatInventory.claimSeats(trip.tripId, seats, {
+    status: 'held',
+    holdId,
+    userId,
+    expiresAt
+  });
+
+  try {
+    const hold = new SeatHold({ holdId, tripId: trip.tripId, userId, seats, expiresAt });
+    await hold.save();
+    return hold;
+  } catch (error) {
+    await seatInventory.releaseSeats(trip.tripId, seats, { holdId });
+    throw error;
+  }
+};
+
+// Give an active hold another full TTL, up to the configured number of extensions
+const extendHold = async (holdId, userId) => {
+  const hold = await getActiveHold(holdId, userId);
+  if (hold.extensionCount >= holdConfig.maxExtensions) {
+    throw new AppError('Hold cannot be extended any further', 409);
+  }
+
+  const expiresAt = expiryFromNow();
+  const extended = await SeatHold.findOneAndUpdate(
+    {
+      holdId,
+      status: 'active',
+      extensionCount: hold.extensionCount,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { expiresAt }, $inc: { extensionCount: 1 } },
+    { new: true }
+  );
+  if (!extended) {
+    throw new AppError('Hold could not be extended, please try again', 409);
+  }
+
+  const stillHeld = await seatInventory.extendHeldSeats({ holdId }, expiresAt);
+  if (stillHeld < hold.seats.length) {
+    await expireHold(extended);
+    throw new AppError('Hold has expired', 410);
+  }
+
+  return extended;
+};
+
+// Release an active hold early, returning its seats to inventory
+const releaseHold = async (holdId, userId) => {
+  const hold = await getActiveHold(holdId, userId);
+
+  const released = await SeatHold.findOneAndUpdate(
+    { holdId, status: 'active' },
+    { $set: { status: 'released' } },
+    { new: true }
+  );
+  if (!released) {
+    throw new AppError('Hold is no longer active', 410);
+  }
+
+  await seatInventory.releaseSeats(hold.tripId, null, { holdId });
+  return released;
+};
+
+// Hand an active hold's seats to a booking, reserved until its payment window closes
+const convertHold = async (hold, bookingId, expiresAt) => {
+  const converted = await SeatHold.findOneAndUpdate(
+    { holdId: hold.holdId, status: 'active', expiresAt: { $gt: new Date() } },
+    { $set: { status: 'converted', bookingId } },
+    { new: true }
+  );
+  if (!converted) {
+    throw new AppError('Hold has expired', 410);
+  }
+
+  const moved = await seatInventory.transferHeldSeats(hold.holdId, bookingId, expiresAt);
+  if (moved < hold.seats.length) {
+    await seatInventory.releaseSeats(hold.tripId, null, { bookingId });
+    await SeatHold.updateOne({ holdId: hold.holdId }, { $set: { status: 'expired' }, $unset: { bookingId: 1 } });
+    throw new AppError('Hold has expired', 410);
+  }
+
+  return converted;
+};
+
+// Expire every hold whose time is up; returns the holds that were expired
+const expireStaleHolds = async () => {
+  const stale = await SeatHold.find({ status: 'active', expiresAt: { $lte: new Date() } }).limit(100);
+
+  const expired = [];
+  for (const hold of stale) {
+    if (await expireHold(hold)) {
+      expired.push(hold);
+    }
+  }
+  return expired;
+};
+
+module.exports = {
+  toHoldSummary,
+  getHold,
+  getActiveHold,
+  createHold,
+  extendHold,
+  releaseHold,
+  convertHold,
+  expireStaleHolds
+};
@@ -0,0 +1,54 @@
+const User = require('../models/User');
+const { lockout } = require('../config/rateLimits');
+const { AppError } = require('../utils/errors');
+
+// Lock length after a given number of consecutive failures (0 below the threshold)
+const lockDurationMs = (failedAttempts) => {
+  if (failedAttempts < lockout.threshold) return 0;
+  const doublings = failedAttempts - lockout.threshold;
+  return Math.min(lockout.baseLockMs * 2 ** doublings, lockout.maxLockMs);
+};
+
+// Throw a 429 carrying retryAfter (seconds) while the account is locked
+const assertNotLocked = (user, now = new Date()) => {
+  if (user.lockUntil && user.lockUntil > now) {
+    const retryAfter = Math.ceil((user.lockUntil - now) / 1000);
+    throw new AppError('Too many failed login attempts. Please try again later.', 429, { retryAfter }, 'ACCOUNT_LOCKED');
+  }
+};
+
+/**
+ * Record a failed login and lock the account once failures pile up.
+ * The counter is incremented atomically so parallel guesses all count.
+ * @param {User} user - Account the failed attempt was for
+ * @returns {Promise<Date|null>} When the lock ends, or null if not locked
+ */
+const recordFailedLogin = async (user) => {
+  const updated = await User.findOneAndUpdate(
+    { id: user.id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  const durationMs = lockDurationMs(updated.failedLoginAttempts);
+  if (!durationMs) return null;
+
+  const lockUntil = new Date(Date.now() + durationMs);
+  await User.updateOne({ id: user.id }, { $set: { lockUntil } });
+  console.warn(`🔒 Locked ${user.email} until ${lockUntil.toISOString()} after ${updated.failedLoginAttempts} failed logins`);
+  return lockUntil;
+};
+
+// Clear the failure count after a successful login
+const recordSuccessfulLogin = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockUntil) return;
+  await User.updateOne({ id: user.id }, { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } });
+};
+
+module.exports = {
+  lockDurationMs,
+  assertNotLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin
+};
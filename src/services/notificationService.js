@@ -0,0 +1,186 @@
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const notificationConfig = require('../config/notifications');
+const notificationChannels = require('../config/notificationChannels');
+const notificationTemplates = require('./notificationTemplates');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Make one delivery attempt. The notification is claimed first, so the retry job and
+ * a request sending it straight away can't both send it.
+ * @param {Notification} notification - A queued notification
+ * @returns {Promise<string|null>} Status afterwards, or null if it wasn't due or someone else has it
+ */
+const deliver = async (notification) => {
+  const { notificationId } = notification;
+  const now = new Date();
+
+  const claimed = await Notification.findOneAndUpdate(
+    { notificationId, status: 'queued', nextAttemptAt: { $lte: now } },
+    {
+      $set: { nextAttemptAt: new Date(now.getTime() + notificationConfig.sendTimeoutMinutes * MINUTE) },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  try {
+    const channel = notificationChannels.get(claimed.channel);
+    if (!channel) {
+      throw new Error(`Unknown notification channel "${claimed.channel}"`);
+    }
+
+    const { messageId } = await channel.send({
+      to: claimed.recipient,
+      subject: claimed.subject,
+      text: claimed.text
+    });
+    await Notification.updateOne(
+      { notificationId },
+      { $set: { status: 'sent', sentAt: new Date(), messageId }, $unset: { lastError: 1 } }
+    );
+    return 'sent';
+  } catch (error) {
+    console.error(`Notification ${notificationId} (${claimed.channel}) attempt ${claimed.attempts} failed:`, error.message);
+
+    const gaveUp = claimed.attempts >= notificationConfig.maxAttempts;
+    const retryDelay = notificationConfig.retryDelayMinutes * MINUTE * 2 ** (claimed.attempts - 1);
+    await Notification.updateOne(
+      { notificationId },
+      {
+        $set: {
+          lastError: error.message,
+          ...(gaveUp
+            ? { status: 'failed' }
+            : { nextAttemptAt: new Date(Date.now() + retryDelay) })
+        }
+      }
+    );
+    return gaveUp ? 'failed' : 'queued';
+  }
+};
+
+// Record a message on every enabled channel the contact can be reached on, then send it.
+// dedupeKey identifies the event, so recording it again is a no-op.
+const recordAndSend = async (type, { dedupeKey, contact, bookingId, userId, messages }) => {
+  const recorded = [];
+  for (const channel of notificationChannels.enabled()) {
+    const message = messages[channel.name];
+    const recipient = channel.recipientFor(contact);
+    if (!message || !recipient) continue;
+
+    try {
+      recorded.push(await Notification.create({
+        dedupeKey: [type, dedupeKey, channel.name].join(':'),
+        type,
+        channel: channel.name,
+        bookingId,
+        userId,
+        recipient,
+        subject: message.subject,
+        text: message.text
+      }));
+    } catch (error) {
+      // Already recorded for this event
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  for (const notification of recorded) {
+    await deliver(notification);
+  }
+  return recorded;
+};
+
+/**
+ * Tell a passenger about something that happened to their booking, on every enabled
+ * channel they have contact details for. Messages are recorded, then sent straight
+ * away; failed sends are retried by the deliver-notifications job.
+ * Never throws: a notification problem must not undo the booking change it's about.
+ * @param {string} type - One of Notification.NOTIFICATION_TYPES
+ * @param {Booking} booking - Booking as it is after the event
+ * @param {Object} [event] - Details for the template; event.key tells apart events of
+ *   the same type on one booking (e.g. the second cancellation), so each is sent once
+ * @returns {Promise<Notification[]>} The notifications recorded by this call
+ */
+const notifyBooking = async (type, booking, event = {}) => {
+  try {
+    return await recordAndSend(type, {
+      dedupeKey: `${booking.bookingId}:${event.key || '-'}`,
+      contact: booking.userDetails,
+      bookingId: booking.bookingId,
+      userId: booking.userId,
+      messages: notificationTemplates.render(type, booking, event)
+    });
+  } catch (error) {
+    console.error(`Notification ${type} for booking ${booking.bookingId} error:`, error.message);
+    return [];
+  }
+};
+
+// Tell a waitlisted passenger that seats are held for them; never throws, like notifyBooking
+const notifyWaitlistOffer = async (entry, user) => {
+  try {
+    return await recordAndSend('waitlist_offer', {
+      dedupeKey: `${entry.entryId}:${entry.offer.holdId}`,
+      contact: user,
+      userId: user.id,
+      messages: notificationTemplates.render('waitlist_offer', entry, { name: user.name })
+    });
+  } catch (error) {
+    console.error(`Waitlist offer notification for entry ${entry.entryId} error:`, error.message);
+    return [];
+  }
+};
+
+// Retry notifications whose next attempt is due; returns how many were sent and given up on
+const deliverPendingNotifications = async () => {
+  const due = await Notification.find({ status: 'queued', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(100);
+
+  const counts = { sent: 0, failed: 0 };
+  for (const notification of due) {
+    const status = await deliver(notification);
+    if (status === 'sent') counts.sent += 1;
+    if (status === 'failed') counts.failed += 1;
+  }
+  return counts;
+};
+
+// Remind passengers of trips departing within the reminder window; returns the bookings reminded
+const sendTripReminders = async () => {
+  const now = new Date();
+  const bookings = await Booking.find({
+    status: { $in: Booking.TICKETED_STATUSES },
+    'journeyDetails.departureAt': {
+      $gt: now,
+      $lte: new Date(now.getTime() + notificationConfig.reminderHoursBefore * HOUR)
+    },
+    reminderSentAt: { $exists: false }
+  }).limit(100);
+
+  const reminded = [];
+  for (const booking of bookings) {
+    // Mark first so two sweeps don't both remind
+    const { modifiedCount } = await Booking.updateOne(
+      { bookingId: booking.bookingId, reminderSentAt: { $exists: false } },
+      { $set: { reminderSentAt: now } }
+    );
+    if (modifiedCount === 0) continue;
+
+    await notifyBooking('trip_reminder', booking, { key: booking.journeyDetails.departureAt.toISOString() });
+    reminded.push(booking);
+  }
+  return reminded;
+};
+
+module.exports = {
+  notifyBooking,
+  notifyWaitlistOffer,
+  deliverPendingNotifications,
+  sendTripReminders
+};
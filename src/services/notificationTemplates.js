@@ -0,0 +1,180 @@
+const mailConfig = require('../config/mail');
+const { formatDate, formatTime } = require('../utils/dateTime');
+
+// Messages sent to passengers about their bookings and waitlist places. Each template takes
+// the booking or waitlist entry (and whatever the event carries) and returns the message
+// for every channel: { email: { subject, text }, sms: { text } }
+
+const formatMoney = (amount, currency = 'INR') => `${currency} ${Number(amount || 0).toFixed(2)}`;
+
+const shortRef = (booking) => booking.bookingId.slice(0, 8).toUpperCase();
+
+const journey = (booking) => {
+  const { from, to, date } = booking.journeyDetails;
+  return `${from} to ${to} on ${date} at ${booking.busDetails.departureTime}`;
+};
+
+const bookingLink = (booking) => `${mailConfig.appUrl}/bookings/${encodeURIComponent(booking.bookingId)}`;
+
+const greeting = (booking) => `Hi ${booking.userDetails.name},`;
+
+const templates = {
+  booking_created: (booking) => {
+    const payBy = booking.paymentExpiresAt
+      ? `${formatTime(booking.paymentExpiresAt)} on ${formatDate(booking.paymentExpiresAt)}`
+      : null;
+
+    return {
+      email: {
+        subject: `Complete your BusTrek booking ${shortRef(booking)}`,
+        text: [
+          greeting(booking),
+          '',
+          `We are holding seats ${booking.selectedSeats.join(', ')} for you on ${booking.busDetails.busName}, ${journey(booking)}.`,
+          `Amount due: ${formatMoney(booking.totalAmount, booking.fareBreakdown?.currency)}`,
+          ...(payBy ? ['', `Please pay by ${payBy}; after that the seats are released.`] : []),
+          bookingLink(booking)
+        ].join('\n')
+      },
+      sms: {
+        text: `BusTrek: seats ${booking.selectedSeats.join(', ')} held for ${journey(booking)}.`
+          + (payBy ? ` Pay by ${payBy} to confirm. Ref ${shortRef(booking)}` : ` Ref ${shortRef(booking)}`)
+      }
+    };
+  },
+
+  booking_confirmed: (booking) => ({
+    email: {
+      subject: `Your BusTrek booking ${shortRef(booking)} is confirmed`,
+      text: [
+        greeting(booking),
+        '',
+        `Your booking on ${booking.busDetails.busName}, ${journey(booking)}, is confirmed.`,
+        `Seats: ${booking.selectedSeats.join(', ')}`,
+        `Paid: ${formatMoney(booking.totalAmount, booking.fareBreakdown?.currency)}`,
+        '',
+        'Download your e-ticket and show its QR code when boarding:',
+        bookingLink(booking)
+      ].join('\n')
+    },
+    sms: {
+      text: `BusTrek: booking ${shortRef(booking)} confirmed. ${journey(booking)}, seats ${booking.selectedSeats.join(', ')}.`
+    }
+  }),
+
+  booking_cancelled: (booking, { cancellation }) => {
+    const refund = cancellation.refundAmount > 0
+      ? `A refund of ${formatMoney(cancellation.refundAmount, booking.fareBreakdown?.currency)} is on its way.`
+      : 'No refund is due for this cancellation.';
+    const what = booking.selectedSeats.length > 0
+      ? `Seats ${cancellation.seats.join(', ')} have been cancelled; seats ${booking.selectedSeats.join(', ')} are still booked.`
+      : 'Your booking has been cancelled.';
+
+    return {
+      email: {
+        subject: `Cancellation of BusTrek booking ${shortRef(booking)}`,
+        text: [
+          greeting(booking),
+          '',
+          what,
+          `Journey: ${journey(booking)}`,
+          refund,
+          '',
+          bookingLink(booking)
+        ].join('\n')
+      },
+      sms: {
+        text: `BusTrek: ${booking.selectedSeats.length > 0 ? `seats ${cancellation.seats.join(', ')} of ` : ''}`
+          + `booking ${shortRef(booking)} cancelled. ${refund}`
+      }
+    };
+  },
+
+  booking_changed: (booking, { change }) => {
+    const money = [
+      change.amountDue > 0 && `Amount due: ${formatMoney(change.amountDue, booking.fareBreakdown?.currency)}`,
+      change.refundDue > 0 && `Refund due: ${formatMoney(change.refundDue, booking.fareBreakdown?.currency)}`
+    ].filter(Boolean);
+
+    return {
+      email: {
+        subject: `Your BusTrek booking ${shortRef(booking)} has changed`,
+        text: [
+          greeting(booking),
+          '',
+          `Your booking is now ${journey(booking)}, seats ${change.to.seats.join(', ')}.`,
+          `It was ${change.from.date} at ${change.from.departureTime}, seats ${change.from.seats.join(', ')}.`,
+          ...money,
+          '',
+          'Tickets downloaded before this change are no longer valid; please download the new one:',
+          bookingLink(booking)
+        ].join('\n')
+      },
+      sms: {
+        text: `BusTrek: booking ${shortRef(booking)} changed to ${journey(booking)}, seats ${change.to.seats.join(', ')}.`
+          + ' Download your new ticket.'
+      }
+    };
+  },
+
+  trip_reminder: (booking) => ({
+    email: {
+      subject: `Your BusTrek trip to ${booking.journeyDetails.to} departs soon`,
+      text: [
+        greeting(booking),
+        '',
+        `A reminder that your bus ${booking.busDetails.busName} leaves ${journey(booking)}.`,
+        `Seats: ${booking.selectedSeats.join(', ')}`,
+        '',
+        'Please be at the boarding point 15 minutes early with your e-ticket:',
+        bookingLink(booking)
+      ].join('\n')
+    },
+    sms: {
+      text: `BusTrek reminder: ${journey(booking)}, seats ${booking.selectedSeats.join(', ')}. Ref ${shortRef(booking)}`
+    }
+  }),
+
+  waitlist_offer: (entry, { name }) => {
+    const { from, to, date, departureTime, busName } = entry.journey;
+    const trip = `${from} to ${to} on ${date} at ${departureTime}`;
+    const until = `${formatTime(entry.offer.expiresAt)} on ${formatDate(entry.offer.expiresAt)}`;
+    const seats = entry.offer.seats.join(', ');
+
+    return {
+      email: {
+        subject: `Seats are free on your waitlisted BusTrek trip to ${to}`,
+        text: [
+          `Hi ${name},`,
+          '',
+          `Good news: seats ${seats} on ${busName}, ${trip}, came free and are held for you.`,
+          `Book them by ${until}; after that they go to the next passenger on the waitlist.`,
+          '',
+          `${mailConfig.appUrl}/holds/${encodeURIComponent(entry.offer.holdId)}`
+        ].join('\n')
+      },
+      sms: {
+        text: `BusTrek: seats ${seats} are held for you on ${trip}. Book by ${until} or they go to the next in line.`
+      }
+    };
+  }
+};
+
+/**
+ * Render a notification for every channel.
+ * @param {string} type - One of Notification.NOTIFICATION_TYPES
+ * @param {Booking|WaitlistEntry} booking - Booking the notification is about (the entry for waitlist_offer)
+ * @param {Object} [event] - Extra details, e.g. { cancellation } or { change }
+ * @returns {Object} Message per channel name
+ */
+const render = (type, booking, event = {}) => {
+  const template = templates[type];
+  if (!template) {
+    throw new Error(`No notification template for "${type}"`);
+  }
+  return template(booking, event);
+};
+
+module.exports = {
+  render
+};
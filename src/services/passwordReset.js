@@ -0,0 +1,74 @@
+const User = require('../models/User');
+const sessionManager = require('../config/sessions');
+const tokenConfig = require('../config/tokens');
+const accountMail = require('./accountMail');
+const { generateToken, hashToken } = require('../utils/secureTokens');
+const { AppError } = require('../utils/errors');
+
+const MIN_PASSWORD_LENGTH = User.schema.path('password').options.minlength[0];
+
+/**
+ * Start a password reset: store a hashed, expiring token and email the link.
+ * Unknown addresses are ignored so callers can't tell which emails have accounts.
+ * @param {string} email - Address the user signed up with
+ * @returns {Promise<void>}
+ */
+const requestPasswordReset = async (email) => {
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + tokenConfig.passwordResetTtlMinutes * 60000);
+
+  // A new request replaces any earlier link
+  const user = await User.findOneAndUpdate(
+    { email: String(email).toLowerCase().trim() },
+    { $set: { passwordResetTokenHash: hashToken(token), passwordResetExpiresAt: expiresAt } },
+    { new: true }
+  );
+  if (!user) return;
+
+  await accountMail.sendPasswordReset(user, token, expiresAt);
+};
+
+/**
+ * Set a new password with a reset token. The token is consumed atomically, so it works
+ * once, and every existing session of the user is ended.
+ * @param {string} token - Token from the reset link
+ * @param {string} password - New password
+ * @returns {Promise<User>} The updated user
+ */
+const resetPassword = async (token, password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AppError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`, 400);
+  }
+
+  const user = await User.findOneAndUpdate(
+    { passwordResetTokenHash: hashToken(String(token)), passwordResetExpiresAt: { $gt: new Date() } },
+    {
+      // Proving control of the mailbox also lifts any login lockout
+      $set: { failedLoginAttempts: 0 },
+      $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1, lockUntil: 1 }
+    },
+    { new: true }
+  );
+  if (!user) {
+    throw new AppError('Invalid or expired password reset token', 400);
+  }
+
+  user.password = password;
+  await user.save();
+
+  // Refresh tokens stop working now; access tokens already issued run out within ACCESS_TOKEN_TTL
+  await sessionManager.deleteAllForUser(user.id);
+
+  try {
+    await accountMail.sendPasswordChanged(user);
+  } catch (error) {
+    console.error('Password changed email error:', error);
+  }
+
+  return user;
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword
+};
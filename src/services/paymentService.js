@@ -0,0 +1,481 @@
+const { v4: uuidv4 } = require('uuid');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const seatInventory = require('./seatInventory');
+const notificationService = require('./notificationService');
+const promoService = require('./promoService');
+const { roundMoney } = require('./pricing');
+const paymentGateway = require('../config/paymentGateway');
+const paymentConfig = require('../config/payments');
+const { AppError } = require('../utils/errors');
+
+const MINUTE = 60 * 1000;
+
+// Payment attempts older than this are no longer treated as in flight
+const IN_FLIGHT_MS = 5 * MINUTE;
+
+// Shape a payment for API responses
+const toPaymentSummary = (payment) => ({
+  paymentId: payment.paymentId,
+  status: payment.status,
+  amount: payment.amount,
+  currency: payment.currency,
+  amountRefunded: payment.amountRefunded,
+  failureReason: payment.failureReason,
+  capturedAt: payment.capturedAt
+});
+
+// When a new booking's payment window closes
+const paymentDeadline = () => new Date(Date.now() + paymentConfig.windowMinutes * MINUTE);
+
+/**
+ * Close an unpaid booking and give its seats, and its promo code use, back.
+ * @param {Booking} booking - Booking waiting for payment
+ * @param {string} status - 'failed' (never paid) or 'cancelled' (called off by the passenger)
+ * @param {Object} [cancellation] - Cancellation to store with the closing, which empties the booking
+ * @returns {Promise<Booking|null>} The closed booking, or null if it was no longer waiting
+ */
+const closeUnpaidBooking = async (booking, status, cancellation) => {
+  const closed = await Booking.findOneAndUpdate(
+    { bookingId: booking.bookingId, status: 'pending_payment' },
+    {
+      $set: { status, ...(cancellation && { selectedSeats: [], passengers: [] }) },
+      ...(cancellation && { $push: { cancellations: cancellation } }),
+      $unset: { paymentExpiresAt: 1 },
+      $inc: { __v: 1 }
+    },
+    { new: true }
+  );
+  if (closed) {
+    await seatInventory.releaseSeats(booking.tripId, null, { bookingId: booking.bookingId });
+    await promoService.releaseBookingPromo(closed);
+  }
+  return closed;
+};
+
+const markPaymentFailed = (paymentId, failureReason, providerPaymentId) => Payment.updateOne(
+  { paymentId, status: { $in: ['processing', 'authorised'] } },
+  { $set: { status: 'failed', inFlight: false, failureReason, ...(providerPaymentId && { providerPaymentId }) } }
+);
+
+const refundedStatus = (payment, amountRefunded) => (
+  amountRefunded >= payment.amount - 0.005 ? 'refunded' : 'partially_refunded'
+);
+
+/**
+ * Refund part or all of a captured payment through the gateway.
+ * @param {Payment} payment - Captured payment
+ * @param {number} amount - Amount to refund; capped at what is left to refund
+ * @param {Object} [options] - { refundId, reason }
+ * @returns {Promise<Object>} The recorded refund
+ */
+const refundPayment = async (payment, amount, { refundId = uuidv4(), reason } = {}) => {
+  const outstanding = payment.refunds
+    .filter((refund) => refund.status !== 'failed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  const refundable = roundMoney(payment.amount - outstanding);
+  const refundAmount = roundMoney(Math.min(amount, refundable));
+
+  let result;
+  try {
+    result = await paymentGateway.refund({
+      providerPaymentId: payment.providerPaymentId,
+      amount: refundAmount,
+      reason,
+      reference: refundId
+    });
+  } catch (error) {
+    console.error('Refund error:', error);
+    result = { status: 'failed', reason: 'provider_error' };
+  }
+
+  const now = new Date();
+  const refund = {
+    refundId,
+    providerRefundId: result.providerRefundId,
+    amount: refundAmount,
+    status: result.status,
+    reason,
+    failureReason: result.status === 'failed' ? result.reason : undefined,
+    createdAt: now,
+    settledAt: result.status === 'pending' ? undefined : now
+  };
+
+  const amountRefunded = roundMoney(payment.amountRefunded + (refund.status === 'succeeded' ? refundAmount : 0));
+  await Payment.updateOne(
+    { paymentId: payment.paymentId },
+    {
+      $push: { refunds: refund },
+      $set: {
+        amountRefunded,
+        ...(amountRefunded > 0 && { status: refundedStatus(payment, amountRefunded) })
+      }
+    }
+  );
+
+  return refund;
+};
+
+/**
+ * Note how a cancellation's refund ended; a fully cancelled booking becomes refunded
+ * once no refund on it is pending or failed.
+ * @param {string} bookingId - Booking ID
+ * @param {string} refundId - Refund ID stored on the cancellation
+ * @param {string} refundStatus - 'pending', 'succeeded' or 'failed'
+ */
+const recordBookingRefund = async (bookingId, refundId, refundStatus) => {
+  await Booking.updateOne(
+    { bookingId, 'cancellations.refundId': refundId },
+    { $set: { 'cancellations.$.refundStatus': refundStatus }, $inc: { __v: 1 } }
+  );
+
+  if (refundStatus === 'succeeded') {
+    await Booking.updateOne(
+      {
+        bookingId,
+        status: 'cancelled',
+        $and: [
+          { 'cancellations.refundStatus': 'succeeded' },
+          { 'cancellations.refundStatus': { $nin: ['pending', 'failed'] } }
+        ]
+      },
+      { $set: { status: 'refunded' }, $inc: { __v: 1 } }
+    );
+  }
+};
+
+/**
+ * Refund a cancellation of a paid booking.
+ * Bookings paid outside the gateway (made before payments existed) are refunded by hand.
+ * @param {Object} params
+ * @param {Booking} params.booking - Booking being cancelled
+ * @param {number} params.amount - Refund due
+ * @param {string} params.refundId - Refund ID stored on the cancellation
+ * @param {string} [params.reason] - Why the money is returned
+ * @returns {Promise<string>} Refund status: 'succeeded', 'pending', 'failed' or 'manual'
+ */
+const refundBooking = async ({ booking, amount, refundId, reason }) => {
+  const payment = booking.paymentId && await Payment.findOne({
+    paymentId: booking.paymentId,
+    status: { $in: ['captured', 'partially_refunded', 'refunded'] }
+  });
+  // A retried cancellation finds the refund its earlier attempt made
+  const made = payment?.refunds.find((entry) => entry.refundId === refundId);
+  if (!made && (!payment || payment.status === 'refunded')) {
+    return 'manual';
+  }
+
+  const refund = made || await refundPayment(payment, amount, { refundId, reason });
+  await recordBookingRefund(booking.bookingId, refundId, refund.status);
+  return refund.status;
+};
+
+/**
+ * Finish a captured payment: sell the booking's seats and confirm it.
+ * If the booking was closed or lost its seats in the meantime, the money goes back.
+ * @param {Payment} payment - Payment the gateway reports as captured
+ * @returns {Promise<Object>} { booking, payment }
+ */
+const completePayment = async (payment) => {
+  const captured = await Payment.findOneAndUpdate(
+    { paymentId: payment.paymentId, status: { $in: ['processing', 'authorised'] } },
+    { $set: { status: 'captured', inFlight: false, capturedAt: new Date() } },
+    { new: true }
+  );
+  // Already completed, e.g. by the provider's webhook
+  if (!captured) {
+    const [current, booking] = await Promise.all([
+      Payment.findOne({ paymentId: payment.paymentId }),
+      Booking.findOne({ bookingId: payment.bookingId })
+    ]);
+    if (booking && booking.paymentId === payment.paymentId && Booking.TICKETED_STATUSES.includes(booking.status)) {
+      return { booking, payment: current };
+    }
+    throw new AppError(`Payment is ${current ? current.status : 'missing'}`, 409, undefined, 'PAYMENT_NOT_CAPTURED');
+  }
+
+  const { bookingId } = captured;
+  const booking = await Booking.findOne({ bookingId });
+  const sold = booking && booking.status === 'pending_payment'
+    ? await seatInventory.sellHeldSeats(bookingId)
+    : 0;
+
+  const confirmed = booking && sold === booking.selectedSeats.length && await Booking.findOneAndUpdate(
+    { bookingId, status: 'pending_payment' },
+    {
+      $set: { status: 'confirmed', paymentId: captured.paymentId },
+      $unset: { paymentExpiresAt: 1 },
+      $inc: { __v: 1 }
+    },
+    { new: true }
+  );
+
+  if (!confirmed) {
+    // Paid too late: the booking was closed, paid by another attempt, or its seats went back on sale
+    if (booking && booking.status === 'pending_payment') {
+      await closeUnpaidBooking(booking, 'failed');
+    } else if (booking && !Booking.TICKETED_STATUSES.includes(booking.status)) {
+      await seatInventory.releaseSeats(booking.tripId, null, { bookingId });
+    }
+    await refundPayment(captured, captured.amount, { reason: 'booking_unavailable' });
+    throw new AppError(
+      'This booking is no longer available; the payment has been refunded',
+      409,
+      undefined,
+      'BOOKING_UNAVAILABLE'
+    );
+  }
+
+  await notificationService.notifyBooking('booking_confirmed', confirmed);
+
+  return { booking: confirmed, payment: captured };
+};
+
+/**
+ * Pay for a booking that is waiting for payment: authorise, make sure the seats are
+ * still reserved, capture, then confirm. A declined or failed attempt can be retried
+ * until the payment window closes.
+ * @param {Object} params
+ * @param {Booking} params.booking - Booking to pay for
+ * @param {string} params.paymentMethod - Provider payment method (a test token for the mock provider)
+ * @param {string} [params.paymentId] - ID for the payment; keep it the same when retrying the call
+ * @returns {Promise<Object>} { booking, payment }
+ */
+const payForBooking = async ({ booking, paymentMethod, paymentId: requestedPaymentId }) => {
+  // A retried call finds the payment its earlier attempt already completed
+  if (requestedPaymentId && booking.paymentId === requestedPaymentId
+    && Booking.TICKETED_STATUSES.includes(booking.status)) {
+    return { booking, payment: await Payment.findOne({ paymentId: requestedPaymentId }) };
+  }
+  if (Booking.TICKETED_STATUSES.includes(booking.status)) {
+    throw new AppError('This booking has already been paid for', 409, undefined, 'ALREADY_PAID');
+  }
+  if (booking.status !== 'pending_payment') {
+    throw new AppError(`This booking is ${booking.status} and can no longer be paid for`, 410);
+  }
+  if (booking.paymentExpiresAt <= new Date()) {
+    await closeUnpaidBooking(booking, 'failed');
+    throw new AppError('The payment window for this booking has closed', 410, undefined, 'PAYMENT_WINDOW_CLOSED');
+  }
+
+  let payment;
+  try {
+    payment = await Payment.create({
+      paymentId: requestedPaymentId,
+      bookingId: booking.bookingId,
+      userId: booking.userId,
+      provider: paymentGateway.name,
+      amount: booking.totalAmount,
+      currency: paymentConfig.currency
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('A payment for this booking is already in progress', 409, undefined, 'PAYMENT_IN_PROGRESS');
+    }
+    throw error;
+  }
+  await Booking.updateOne(
+    { bookingId: booking.bookingId, status: 'pending_payment' },
+    { $set: { paymentId: payment.paymentId } }
+  );
+
+  const { paymentId, amount, currency } = payment;
+  const retryDetails = { retryUntil: booking.paymentExpiresAt };
+
+  let authorisation;
+  try {
+    authorisation = await paymentGateway.authorise({ amount, currency, paymentMethod, reference: paymentId });
+  } catch (error) {
+    console.error('Payment authorisation error:', error);
+    await markPaymentFailed(paymentId, 'provider_error');
+    throw new AppError('The payment provider is unavailable, please try again', 502, retryDetails, 'PAYMENT_PROVIDER_ERROR');
+  }
+
+  const { providerPaymentId } = authorisation;
+  if (authorisation.status !== 'authorised') {
+    await markPaymentFailed(paymentId, authorisation.reason, providerPaymentId);
+    throw new AppError('Payment was declined', 402, { reason: authorisation.reason, ...retryDetails }, 'PAYMENT_DECLINED');
+  }
+  await Payment.updateOne(
+    { paymentId, status: 'processing' },
+    { $set: { status: 'authorised', providerPaymentId, authorisedAt: new Date() } }
+  );
+
+  // Keep the seats while the money is taken; if they are already gone, take nothing
+  const holdUntil = new Date(Math.max(
+    booking.paymentExpiresAt.getTime(),
+    Date.now() + paymentConfig.captureGraceMinutes * MINUTE
+  ));
+  const stillHeld = await seatInventory.extendHeldSeats({ bookingId: booking.bookingId }, holdUntil);
+  if (stillHeld < booking.selectedSeats.length) {
+    await paymentGateway.cancel({ providerPaymentId, reference: paymentId });
+    await Payment.updateOne(
+      { paymentId, status: 'authorised' },
+      { $set: { status: 'cancelled', inFlight: false, failureReason: 'seats_released' } }
+    );
+    await closeUnpaidBooking(booking, 'failed');
+    throw new AppError(
+      'Your seats were released before payment completed; nothing was charged',
+      410,
+      undefined,
+      'PAYMENT_WINDOW_CLOSED'
+    );
+  }
+
+  let capture;
+  try {
+    capture = await paymentGateway.capture({ providerPaymentId, amount, reference: paymentId });
+  } catch (error) {
+    // The outcome is unknown; the provider's webhook settles it. The attempt stays in flight
+    // until then, so paying again is refused rather than charging twice.
+    console.error('Payment capture error:', error);
+    throw new AppError(
+      'The payment provider did not confirm the payment; check the booking before paying again',
+      502,
+      retryDetails,
+      'PAYMENT_PROVIDER_ERROR'
+    );
+  }
+  if (capture.status !== 'captured') {
+    await markPaymentFailed(paymentId, capture.reason);
+    throw new AppError('Payment failed', 402, { reason: capture.reason, ...retryDetails }, 'PAYMENT_FAILED');
+  }
+
+  return completePayment(payment);
+};
+
+// Apply a refund outcome reported by the provider
+const settleRefund = async (payment, { providerRefundId, reason }, status) => {
+  const refund = payment.refunds.find((entry) => entry.providerRefundId === providerRefundId);
+  if (!refund) return false;
+  if (refund.status !== 'pending') return true;
+
+  const amountRefunded = roundMoney(payment.amountRefunded + (status === 'succeeded' ? refund.amount : 0));
+  await Payment.updateOne(
+    { paymentId: payment.paymentId, refunds: { $elemMatch: { providerRefundId, status: 'pending' } } },
+    {
+      $set: {
+        'refunds.$.status': status,
+        'refunds.$.settledAt': new Date(),
+        ...(status === 'failed' && { 'refunds.$.failureReason': reason }),
+        amountRefunded,
+        ...(amountRefunded > 0 && { status: refundedStatus(payment, amountRefunded) })
+      }
+    }
+  );
+  await recordBookingRefund(payment.bookingId, refund.refundId, status);
+  return true;
+};
+
+/**
+ * Apply a signed callback from the payment provider. Events are applied at most once and
+ * never move a payment backwards, so redelivered or out-of-order events are harmless.
+ * @param {string} providerName - Provider named in the webhook URL
+ * @param {Buffer} rawBody - Request body exactly as received (the signature covers it)
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} { eventId, applied }
+ */
+const handleWebhook = async (providerName, rawBody, headers) => {
+  if (providerName !== paymentGateway.name) {
+    throw new AppError('Unknown payment provider', 404);
+  }
+
+  const event = rawBody && paymentGateway.verifyWebhook(rawBody, headers);
+  if (!event || !event.id || !event.type || !event.data) {
+    throw new AppError('Invalid webhook signature', 400, undefined, 'INVALID_SIGNATURE');
+  }
+
+  const { data } = event;
+  const payment = await Payment.findOne({
+    provider: providerName,
+    $or: [
+      ...(data.providerPaymentId ? [{ providerPaymentId: data.providerPaymentId }] : []),
+      ...(data.reference ? [{ paymentId: data.reference }] : [])
+    ]
+  });
+  // Not one of ours, or already applied; either way the provider can stop retrying
+  if (!payment || payment.processedEventIds.includes(event.id)) {
+    return { eventId: event.id, applied: false };
+  }
+
+  const inFlight = ['processing', 'authorised'].includes(payment.status);
+  let applied = true;
+
+  switch (event.type) {
+    case 'payment.authorised':
+      await Payment.updateOne(
+        { paymentId: payment.paymentId, status: 'processing' },
+        { $set: { status: 'authorised', providerPaymentId: data.providerPaymentId, authorisedAt: new Date() } }
+      );
+      break;
+
+    case 'payment.captured':
+      if (inFlight) {
+        if (!payment.providerPaymentId) {
+          await Payment.updateOne({ paymentId: payment.paymentId }, { $set: { providerPaymentId: data.providerPaymentId } });
+          payment.providerPaymentId = data.providerPaymentId;
+        }
+        try {
+          await completePayment(payment);
+        } catch (error) {
+          // A payment for a booking that's gone has been refunded; nothing more to do
+          if (!(error instanceof AppError)) throw error;
+        }
+      }
+      break;
+
+    case 'payment.failed':
+      if (inFlight) {
+        await markPaymentFailed(payment.paymentId, data.reason, data.providerPaymentId);
+      }
+      break;
+
+    case 'refund.succeeded':
+    case 'refund.failed':
+      // The refund may not be recorded yet if the callback beat our own write; let it be redelivered
+      applied = await settleRefund(payment, data, event.type === 'refund.succeeded' ? 'succeeded' : 'failed');
+      break;
+
+    default:
+      applied = false;
+  }
+
+  if (applied) {
+    await Payment.updateOne({ paymentId: payment.paymentId }, { $addToSet: { processedEventIds: event.id } });
+  }
+
+  return { eventId: event.id, applied };
+};
+
+// Fail bookings whose payment window has closed and put their seats back on sale;
+// returns the bookings that were closed
+const expireUnpaidBookings = async () => {
+  const now = new Date();
+  const stale = await Booking.find({ status: 'pending_payment', paymentExpiresAt: { $lte: now } }).limit(100);
+
+  const expired = [];
+  for (const booking of stale) {
+    // Leave bookings alone while a payment for them is still going through
+    const paying = await Payment.exists({
+      bookingId: booking.bookingId,
+      status: { $in: ['processing', 'authorised'] },
+      updatedAt: { $gt: new Date(now.getTime() - IN_FLIGHT_MS) }
+    });
+    if (paying) continue;
+
+    if (await closeUnpaidBooking(booking, 'failed')) {
+      expired.push(booking);
+    }
+  }
+  return expired;
+};
+
+module.exports = {
+  toPaymentSummary,
+  paymentDeadline,
+  closeUnpaidBooking,
+  refundBooking,
+  payForBooking,
+  handleWebhook,
+  expireUnpaidBookings
+};
@@ -0,0 +1,99 @@
+const pricingConfig = require('../config/pricing');
+const { AppError } = require('../utils/errors');
+
+// Round to paise
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Discount a promo code gives on seat fares; none below its minimum spend.
+ * @param {Object} promo - PromoCode, or the snapshot stored on a booking
+ * @param {number} subtotal - Seat fares before tax
+ * @returns {number} Discount, never more than the subtotal
+ */
+const promoDiscount = (promo, subtotal) => {
+  if (subtotal < (promo.minSpend || 0)) return 0;
+
+  let discount = promo.discountType === 'percentage'
+    ? subtotal * (promo.value / 100)
+    : promo.value;
+  if (promo.maxDiscount !== undefined && promo.maxDiscount !== null) {
+    discount = Math.min(discount, promo.maxDiscount);
+  }
+  return roundMoney(Math.min(discount, subtotal));
+};
+
+/**
+ * Compute the fare for seats on a trip.
+ * @param {Object} params
+ * @param {Trip} params.trip - Trip with the base fare
+ * @param {Bus} params.bus - Bus with the seat layout
+ * @param {string[]} params.seats - Normalised seat numbers
+ * @param {Object} [params.promo] - Promo code to apply; tax is charged on the discounted fares
+ * @returns {Object} Itemised fare breakdown: per-seat fares, discounts, taxes, fees and total
+ */
+const quoteFare = ({ trip, bus, seats, promo }) => {
+  const seatTypes = new Map(bus.getSeats().map((seat) => [seat.seatNumber, seat.seatType]));
+
+  const seatFares = seats.map((seatNumber) => {
+    const seatType = seatTypes.get(seatNumber);
+    const multiplier = pricingConfig.seatTypeMultipliers[seatType] ?? 1;
+    return {
+      seatNumber,
+      seatType,
+      baseFare: trip.baseFare,
+      fare: roundMoney(trip.baseFare * multiplier)
+    };
+  });
+
+  const subtotal = roundMoney(seatFares.reduce((sum, seat) => sum + seat.fare, 0));
+
+  const discount = promo ? promoDiscount(promo, subtotal) : 0;
+  const discounts = discount > 0
+    ? [{ code: 'PROMO', description: `Promo code ${promo.code}`, amount: discount }]
+    : [];
+  const taxable = roundMoney(subtotal - discount);
+
+  const taxes = [{
+    code: 'GST',
+    description: 'Goods and Services Tax',
+    rate: pricingConfig.taxRate,
+    amount: roundMoney(taxable * pricingConfig.taxRate)
+  }];
+
+  const fees = pricingConfig.bookingFee > 0
+    ? [{ code: 'BOOKING_FEE', description: 'Booking fee', amount: roundMoney(pricingConfig.bookingFee) }]
+    : [];
+
+  const total = roundMoney(
+    taxable +
+    taxes.reduce((sum, tax) => sum + tax.amount, 0) +
+    fees.reduce((sum, fee) => sum + fee.amount, 0)
+  );
+
+  return {
+    currency: pricingConfig.currency,
+    seats: seatFares,
+    subtotal,
+    discounts,
+    taxes,
+    fees,
+    total
+  };
+};
+
+// Reject a client quote that no longer matches the server's fare
+const assertQuoteMatches = (quotedTotal, fareBreakdown) => {
+  if (Math.abs(Number(quotedTotal) - fareBreakdown.total) > pricingConfig.quoteTolerance) {
+    throw new AppError('Quoted total does not match the current fare', 409, {
+      quotedTotal: Number(quotedTotal),
+      expectedTotal: fareBreakdown.total,
+      fareBreakdown
+    }, 'QUOTE_MISMATCH');
+  }
+};
+
+module.exports = {
+  roundMoney,
+  quoteFare,
+  assertQuoteMatches
+};
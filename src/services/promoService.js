@@ -0,0 +1,210 @@
+const PromoCode = require('../models/PromoCode');
+const PromoUsage = require('../models/PromoUsage');
+const Booking = require('../models/Booking');
+const pricing = require('./pricing');
+const { AppError } = require('../utils/errors');
+
+// A booking takes one use of its promo code when it is made. Counters are only ever
+// moved with conditional updates, so concurrent checkouts can't go past a limit;
+// unpaid bookings give their use back when they close.
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+const notValid = () => new AppError('Promo code is not valid', 400, undefined, 'INVALID_PROMO_CODE');
+
+const notApplicable = (message) => new AppError(message, 400, undefined, 'PROMO_NOT_APPLICABLE');
+
+const usageLimitReached = () => new AppError(
+  'Promo code has reached its usage limit', 409, undefined, 'PROMO_LIMIT_REACHED'
+);
+
+const userLimitReached = (perUserLimit) => new AppError(
+  `You have already used this promo code ${perUserLimit === 1 ? 'once' : `${perUserLimit} times`}`,
+  409,
+  { perUserLimit },
+  'PROMO_USER_LIMIT_REACHED'
+);
+
+// What a booking keeps of the code it was made with
+const toPromoSnapshot = (promo) => ({
+  promoId: promo.promoId,
+  code: promo.code,
+  discountType: promo.discountType,
+  value: promo.value,
+  minSpend: promo.minSpend,
+  maxDiscount: promo.maxDiscount
+});
+
+/**
+ * Look up a promo code and check it can be used on seats of a trip. Usage limits are
+ * checked here for a clear error, but only enforced by redeemPromo.
+ * @param {Object} params
+ * @param {string} params.code - Code as the passenger entered it
+ * @param {Object} params.tripDetails - { trip, bus, route } from tripCatalog
+ * @param {number} params.subtotal - Seat fares before tax
+ * @param {string} [params.userId] - Passenger using it; their own limit is skipped without one
+ * @returns {Promise<PromoCode>} The promo code
+ */
+const findApplicablePromo = async ({ code, tripDetails, subtotal, userId }) => {
+  const promo = await PromoCode.findOne({ code: normalizeCode(code) });
+  if (!promo || !promo.isActive) {
+    throw notValid();
+  }
+
+  const now = new Date();
+  if (promo.validFrom && promo.validFrom > now) {
+    throw notApplicable('Promo code is not valid yet');
+  }
+  if (promo.validUntil && promo.validUntil <= now) {
+    throw notApplicable('Promo code has expired');
+  }
+
+  const { trip, bus } = tripDetails;
+  if (promo.routeIds.length > 0 && !promo.routeIds.includes(trip.routeId)) {
+    throw notApplicable('Promo code is not valid on this route');
+  }
+  const busType = bus.busType.toLowerCase();
+  if (promo.busTypes.length > 0 && !promo.busTypes.some((type) => type.toLowerCase() === busType)) {
+    throw notApplicable(`Promo code is not valid on ${bus.busType} buses`);
+  }
+  if (subtotal < promo.minSpend) {
+    throw new AppError(
+      `Promo code needs seat fares of at least ${promo.minSpend}`,
+      400,
+      { minSpend: promo.minSpend, subtotal },
+      'PROMO_MIN_SPEND'
+    );
+  }
+
+  if (promo.usageLimit && promo.usedCount >= promo.usageLimit) {
+    throw usageLimitReached();
+  }
+  if (userId && promo.perUserLimit) {
+    const usage = await PromoUsage.findOne({ promoId: promo.promoId, userId });
+    if (usage && usage.count >= promo.perUserLimit) {
+      throw userLimitReached(promo.perUserLimit);
+    }
+  }
+
+  return promo;
+};
+
+/**
+ * Quote the fare for seats on a trip, with a promo code applied when one is given.
+ * @param {Object} params
+ * @param {Object} params.tripDetails - { trip, bus, route } from tripCatalog
+ * @param {string[]} params.seats - Normalised seat numbers
+ * @param {string} [params.promoCode] - Code the passenger entered
+ * @param {string} [params.userId] - Passenger, to check their own limit on the code
+ * @returns {Promise<Object>} { fareBreakdown, promo }; promo is undefined without a code
+ */
+const quoteWithPromo = async ({ tripDetails, seats, promoCode, userId }) => {
+  const fareBreakdown = pricing.quoteFare({ ...tripDetails, seats });
+  if (!promoCode) {
+    return { fareBreakdown };
+  }
+
+  const promo = await findApplicablePromo({ code: promoCode, tripDetails, subtotal: fareBreakdown.subtotal, userId });
+  return { fareBreakdown: pricing.quoteFare({ ...tripDetails, seats, promo }), promo };
+};
+
+// Take one of a passenger's uses; resolves false when they have none left
+const takeUserUse = async (promo, userId) => {
+  const filter = { promoId: promo.promoId, userId };
+  if (promo.perUserLimit) {
+    filter.count = { $lt: promo.perUserLimit };
+  }
+
+  // A full counter doesn't match, so the upsert runs into the unique index instead of adding
+  // a second one. Two first uses racing also collide there; the loser tries again.
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      await PromoUsage.findOneAndUpdate(filter, { $inc: { count: 1 } }, { upsert: true });
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return false;
+};
+
+// Give back a use taken by redeemPromo; counters never drop below zero
+const releasePromo = async (promoId, userId) => {
+  await PromoCode.updateOne({ promoId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  if (userId) {
+    await PromoUsage.updateOne({ promoId, userId, count: { $gt: 0 } }, { $inc: { count: -1 } });
+  }
+};
+
+/**
+ * Take one use of a promo code for a booking, within its global and per-user limits.
+ * @param {PromoCode} promo - Code from findApplicablePromo
+ * @param {string} userId - Passenger booking
+ * @returns {Promise<void>}
+ */
+const redeemPromo = async (promo, userId) => {
+  const claimed = await PromoCode.findOneAndUpdate(
+    {
+      promoId: promo.promoId,
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    // Used up, or deactivated since it was looked up
+    const active = await PromoCode.exists({ promoId: promo.promoId, isActive: true });
+    throw active ? usageLimitReached() : notValid();
+  }
+
+  let taken;
+  try {
+    taken = await takeUserUse(claimed, userId);
+  } catch (error) {
+    await releasePromo(promo.promoId);
+    throw error;
+  }
+  if (!taken) {
+    await releasePromo(promo.promoId);
+    throw userLimitReached(claimed.perUserLimit);
+  }
+};
+
+/**
+ * Give back the promo code use of a booking that closed without being paid for.
+ * Only the first call for a booking releases anything.
+ * Never throws: closing the booking must not fail over a usage count.
+ * @param {Booking} booking - The closed booking
+ * @returns {Promise<boolean>} Whether a use was given back
+ */
+const releaseBookingPromo = async (booking) => {
+  if (!booking.promo?.promoId) return false;
+
+  try {
+    const { modifiedCount } = await Booking.updateOne(
+      { bookingId: booking.bookingId, 'promo.redeemed': true },
+      { $set: { 'promo.redeemed': false } }
+    );
+    if (modifiedCount === 0) return false;
+
+    await releasePromo(booking.promo.promoId, booking.userId);
+    return true;
+  } catch (error) {
+    console.error(`Promo release for booking ${booking.bookingId} error:`, error.message);
+    return false;
+  }
+};
+
+module.exports = {
+  normalizeCode,
+  toPromoSnapshot,
+  findApplicablePromo,
+  quoteWithPromo,
+  redeemPromo,
+  releasePromo,
+  releaseBookingPromo
+};
@@ -0,0 +1,60 @@
+const policy = require('../config/refundPolicy');
+const { roundMoney } = require('./pricing');
+
+const sumAmounts = (lines = []) => lines.reduce((sum, line) => sum + line.amount, 0);
+
+// Refund percentage for a cancellation made now, or null once the bus has departed
+const getRefundPercent = (departureAt, now = new Date()) => {
+  const hoursBeforeDeparture = (new Date(departureAt) - now) / 3600000;
+  if (hoursBeforeDeparture <= 0) return null;
+
+  const tier = policy.tiers.find((entry) => hoursBeforeDeparture >= entry.minHoursBeforeDeparture);
+  return tier ? tier.refundPercent : 0;
+};
+
+// What one seat costs under a fare breakdown: its fare plus its share of the taxes, less its
+// share of any discount; null if the breakdown doesn't itemise the seat
+const seatAmount = (breakdown, seatNumber) => {
+  const seatFare = breakdown?.seats?.find((seat) => seat.seatNumber === seatNumber);
+  if (!seatFare) return null;
+
+  const share = breakdown.subtotal > 0 ? seatFare.fare / breakdown.subtotal : 0;
+  return seatFare.fare + (sumAmounts(breakdown.taxes) - sumAmounts(breakdown.discounts)) * share;
+};
+
+// What the passenger paid for one seat
+const seatPaidAmount = (booking, seatNumber) => {
+  // A changed booking's fare is no longer what was paid
+  const paidFare = booking.paidFares?.find((seat) => seat.seatNumber === seatNumber);
+  if (paidFare) return paidFare.amount;
+
+  // Bookings made before fares were itemised only know the per-seat price
+  const amount = seatAmount(booking.fareBreakdown, seatNumber);
+  return amount === null ? booking.busDetails.price : amount;
+};
+
+/**
+ * Refund due for cancelling seats on a booking.
+ * @param {Booking} booking - Booking the seats belong to
+ * @param {string[]} seats - Seats being cancelled
+ * @param {number} refundPercent - Percentage from getRefundPercent
+ * @param {boolean} fullCancellation - Whether no seats remain afterwards
+ * @returns {number} Refund amount in rupees
+ */
+const calculateRefund = (booking, seats, refundPercent, fullCancellation) => {
+  const seatsAmount = seats.reduce((sum, seat) => sum + seatPaidAmount(booking, seat), 0);
+  let refund = seatsAmount * (refundPercent / 100);
+
+  if (fullCancellation && policy.refundBookingFee) {
+    refund += sumAmounts(booking.fareBreakdown?.fees);
+  }
+
+  return roundMoney(refund);
+};
+
+module.exports = {
+  getRefundPercent,
+  seatAmount,
+  seatPaidAmount,
+  calculateRefund
+};
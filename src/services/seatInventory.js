@@ -0,0 +1,164 @@
+const SeatAllocation = require('../models/SeatAllocation');
+const { AppError, SeatConflictError } = require('../utils/errors');
+
+// Allocations that currently block a seat: sold seats and unexpired holds
+const activeFilter = (now = new Date()) => ({
+  $or: [
+    { status: 'sold' },
+    { status: 'held', expiresAt: { $gt: now } }
+  ]
+});
+
+// Allocations are owned by a booking or, while seats are only held, by a hold
+const ownerFilter = ({ bookingId, holdId }) => (bookingId ? { bookingId } : { holdId });
+
+const isDuplicateKeyError = (error) => error.code === 11000 ||
+  (error.writeErrors || []).some((writeError) => (writeError.code ?? writeError.err?.code) === 11000);
+
+// Seat numbers on a bus, in layout order
+const getSeatNumbers = (bus) => bus.getSeats().map((seat) => seat.seatNumber);
+
+// Normalise a seat selection and check every seat exists on the bus
+const normalizeSeats = (bus, seats) => {
+  const normalized = seats.map((seat) => String(seat).trim());
+
+  const duplicates = normalized.filter((seat, index) => normalized.indexOf(seat) !== index);
+  if (duplicates.length > 0) {
+    throw new AppError(`Duplicate seats in selection: ${[...new Set(duplicates)].join(', ')}`, 400);
+  }
+
+  const validSeats = new Set(getSeatNumbers(bus));
+  const invalid = normalized.filter((seat) => !validSeats.has(seat));
+  if (invalid.length > 0) {
+    throw new AppError(`Invalid seat numbers for this bus: ${invalid.join(', ')}`, 400);
+  }
+
+  return normalized;
+};
+
+// Release seats held or sold by an owner (all of the owner's seats on the trip if none are given)
+const releaseSeats = async (tripId, seats, owner) => {
+  const filter = { tripId, ...ownerFilter(owner) };
+  if (seats) {
+    filter.seatNumber = { $in: seats };
+  }
+
+  const result = await SeatAllocation.deleteMany(filter);
+  return result.deletedCount;
+};
+
+/**
+ * Atomically claim seats on a trip for a booking or hold.
+ * Each seat is an insert against the unique (tripId, seatNumber) index, so
+ * concurrent claims for the same seat cannot both succeed. If any seat is
+ * taken, the seats this call did get are released again and a
+ * SeatConflictError listing the taken seats is thrown.
+ * @param {string} tripId - Trip to claim seats on
+ * @param {string[]} seats - Normalised seat numbers
+ * @param {Object} owner - { status, bookingId | holdId, userId, expiresAt }
+ */
+const claimSeats = async (tripId, seats, owner) => {
+  const { status, bookingId, holdId, userId, expiresAt } = owner;
+  if (!bookingId && !holdId) {
+    throw new Error('A seat claim needs a bookingId or holdId');
+  }
+
+  // Expired holds no longer block a seat; clear them so the inserts can go through
+  await SeatAllocation.deleteMany({
+    tripId,
+    seatNumber: { $in: seats },
+    status: 'held',
+    expiresAt: { $lte: new Date() }
+  });
+
+  const allocations = seats.map((seatNumber) => ({
+    tripId,
+    seatNumber,
+    status,
+    bookingId,
+    holdId,
+    userId,
+    expiresAt
+  }));
+
+  try {
+    await SeatAllocation.insertMany(allocations, { ordered: false });
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) throw error;
+
+    const owned = await SeatAllocation.find({
+      tripId,
+      seatNumber: { $in: seats },
+      ...ownerFilter(owner)
+    });
+    const ownedSeats = owned.map((allocation) => allocation.seatNumber);
+    const conflicts = seats.filter((seat) => !ownedSeats.includes(seat));
+
+    // A retried claim may find all seats already inserted by its earlier attempt
+    if (conflicts.length === 0) return;
+
+    await releaseSeats(tripId, ownedSeats, owner);
+    throw new SeatConflictError(conflicts);
+  }
+};
+
+// Push back the expiry of seats held by a hold or an unpaid booking; returns how many seats were still held
+const extendHeldSeats = async (owner, expiresAt) => {
+  const result = await SeatAllocation.updateMany(
+    { ...ownerFilter(owner), status: 'held', expiresAt: { $gt: new Date() } },
+    { $set: { expiresAt } }
+  );
+  return result.modifiedCount;
+};
+
+// Hand a hold's seats over to a booking that is waiting for payment; returns how many seats moved
+const transferHeldSeats = async (holdId, bookingId, expiresAt) => {
+  const result = await SeatAllocation.updateMany(
+    { holdId, status: 'held', expiresAt: { $gt: new Date() } },
+    { $set: { bookingId, expiresAt }, $unset: { holdId: 1 } }
+  );
+  return result.modifiedCount;
+};
+
+// Turn a paid booking's held seats into sold seats; returns how many seats were sold
+const sellHeldSeats = async (bookingId) => {
+  const result = await SeatAllocation.updateMany(
+    { bookingId, status: 'held', expiresAt: { $gt: new Date() } },
+    { $set: { status: 'sold' }, $unset: { expiresAt: 1 } }
+  );
+  return result.modifiedCount;
+};
+
+// Count blocked seats per trip
+const countTakenSeats = async (tripIds) => {
+  const counts = await SeatAllocation.aggregate([
+    { $match: { tripId: { $in: tripIds }, ...activeFilter() } },
+    { $group: { _id: '$tripId', seats: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map((entry) => [entry._id, entry.seats]));
+};
+
+// Seat-by-seat availability for a trip
+const getSeatMap = async (tripId, bus) => {
+  const taken = await SeatAllocation.find({ tripId, ...activeFilter() });
+  const takenMap = new Map(taken.map((allocation) => [allocation.seatNumber, allocation.status]));
+
+  return bus.getSeats().map(({ seatNumber, seatType }) => ({
+    seatNumber,
+    seatType,
+    status: takenMap.has(seatNumber)
+      ? (takenMap.get(seatNumber) === 'sold' ? 'booked' : 'held')
+      : 'available'
+  }));
+};
+
+module.exports = {
+  normalizeSeats,
+  claimSeats,
+  releaseSeats,
+  extendHeldSeats,
+  transferHeldSeats,
+  sellHeldSeats,
+  countTakenSeats,
+  getSeatMap
+};
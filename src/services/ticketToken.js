@@ -0,0 +1,43 @@
+const jwt = require('jsonwebtoken');
+const tokenConfig = require('../config/tokens');
+const { AppError } = require('../utils/errors');
+
+// Ticket QR codes carry a signed token naming the booking, its trip and how many times
+// it has been changed, so a ticket printed before a change no longer scans.
+// Tickets don't expire; what they are good for is checked against the booking at boarding.
+const signTicketToken = (booking) => jwt.sign(
+  { typ: 'ticket', trip: booking.tripId, rev: booking.changes.length },
+  tokenConfig.ticketSecret,
+  {
+    subject: booking.bookingId,
+    issuer: tokenConfig.issuer,
+    algorithm: 'HS256'
+  }
+);
+
+/**
+ * Check a scanned ticket token.
+ * @param {string} token - Token from the ticket's QR code
+ * @returns {Object} { bookingId, tripId, revision }
+ */
+const verifyTicketToken = (token) => {
+  let claims;
+  try {
+    claims = jwt.verify(String(token), tokenConfig.ticketSecret, {
+      issuer: tokenConfig.issuer,
+      algorithms: ['HS256']
+    });
+  } catch (error) {
+    throw new AppError('Invalid ticket', 400, undefined, 'INVALID_TICKET');
+  }
+  if (claims.typ !== 'ticket') {
+    throw new AppError('Invalid ticket', 400, undefined, 'INVALID_TICKET');
+  }
+
+  return { bookingId: claims.sub, tripId: claims.trip, revision: claims.rev };
+};
+
+module.exports = {
+  signTicketToken,
+  verifyTicketToken
+};
@@ -0,0 +1,114 @@
+const Bus = require('../models/Bus');
+const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const seatInventory = require('./seatInventory');
+const { formatTime, formatDuration } = require('../utils/dateTime');
+
+// A trip can be booked while it is scheduled and has not departed yet
+const isBookable = (trip) => trip.status === 'scheduled' && trip.departureAt > new Date();
+
+// Shape a trip for search results and trip lookups
+const toTripSummary = ({ trip, bus, route }, seatsTaken = 0) => ({
+  tripId: trip.tripId,
+  busId: bus.busId,
+  busName: bus.busName,
+  busType: bus.busType,
+  operatorName: bus.operatorName,
+  rating: bus.rating,
+  amenities: bus.amenities,
+  from: route.from,
+  to: route.to,
+  date: trip.date,
+  departureTime: formatTime(trip.departureAt),
+  arrivalTime: formatTime(trip.arrivalAt),
+  departureAt: trip.departureAt,
+  arrivalAt: trip.arrivalAt,
+  duration: formatDuration(trip.departureAt, trip.arrivalAt),
+  fare: trip.baseFare,
+  totalSeats: bus.totalSeats,
+  seatsLeft: Math.max(0, bus.totalSeats - seatsTaken),
+  status: trip.status
+});
+
+// Booking snapshot of the bus and journey, taken from the catalog rather than the client
+const toBookingDetails = ({ trip, bus, route }) => ({
+  busDetails: {
+    busId: bus.busId,
+    busName: bus.busName,
+    busType: bus.busType,
+    duration: formatDuration(trip.departureAt, trip.arrivalAt),
+    departureTime: formatTime(trip.departureAt),
+    arrivalTime: formatTime(trip.arrivalAt),
+    price: trip.baseFare,
+    rating: bus.rating,
+    amenities: bus.amenities,
+    totalSeats: bus.totalSeats
+  },
+  journeyDetails: {
+    from: route.from,
+    to: route.to,
+    date: trip.date,
+    departureAt: trip.departureAt
+  }
+});
+
+// Load a trip together with its bus and route (null if any part is missing)
+const getTripDetails = async (tripId) => {
+  const trip = await Trip.findOne({ tripId });
+  if (!trip) return null;
+
+  const [bus, route] = await Promise.all([
+    Bus.findOne({ busId: trip.busId }),
+    Route.findOne({ routeId: trip.routeId })
+  ]);
+  if (!bus || !route) return null;
+
+  return { trip, bus, route };
+};
+
+// Find upcoming scheduled trips between two cities on a date
+const searchTrips = async ({ from, to, date }) => {
+  const routes = await Route.find({ from, to, isActive: true }).collation(Route.CITY_COLLATION);
+  if (routes.length === 0) return [];
+
+  const trips = await Trip.find({
+    routeId: { $in: routes.map((route) => route.routeId) },
+    date,
+    status: 'scheduled',
+    departureAt: { $gt: new Date() }
+  }).sort({ departureAt: 1 });
+  if (trips.length === 0) return [];
+
+  const buses = await Bus.find({
+    busId: { $in: [...new Set(trips.map((trip) => trip.busId))] },
+    isActive: true
+  });
+
+  const busMap = new Map(buses.map((bus) => [bus.busId, bus]));
+  const routeMap = new Map(routes.map((route) => [route.routeId, route]));
+  const takenSeats = await seatInventory.countTakenSeats(trips.map((trip) => trip.tripId));
+
+  return trips
+    .filter((trip) => busMap.has(trip.busId))
+    .map((trip) => toTripSummary(
+      { trip, bus: busMap.get(trip.busId), route: routeMap.get(trip.routeId) },
+      takenSeats.get(trip.tripId)
+    ));
+};
+
+// Get a single trip summary including seats left
+const getTripSummary = async (tripId) => {
+  const details = await getTripDetails(tripId);
+  if (!details) return null;
+
+  const takenSeats = await seatInventory.countTakenSeats([tripId]);
+  return toTripSummary(details, takenSeats.get(tripId));
+};
+
+module.exports = {
+  searchTrips,
+  getTripDetails,
+  getTripSummary,
+  isBookable,
+  toBookingDetails
+};
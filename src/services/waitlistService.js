@@ -0,0 +1,323 @@
+const User = require('../models/User');
+const SeatHold = require('../models/SeatHold');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const tripCatalog = require('./tripCatalog');
+const seatInventory = require('./seatInventory');
+const holdService = require('./holdService');
+const notificationService = require('./notificationService');
+const holdConfig = require('../config/holds');
+const waitlistConfig = require('../config/waitlist');
+const { formatTime } = require('../utils/dateTime');
+const { AppError, SeatConflictError } = require('../utils/errors');
+
+const MINUTE = 60 * 1000;
+
+// An entry claimed for an offer but still without a hold after this was abandoned mid-promotion
+const OFFER_SETUP_MS = 5 * MINUTE;
+
+// Passengers queue first come, first served. Whenever seats free up, the first entry whose
+// seat count fits is offered them as a seat hold, which they book like any other hold.
+
+// Shape an entry for API responses; position is only known while waiting
+const toEntrySummary = (entry, position) => ({
+  entryId: entry.entryId,
+  tripId: entry.tripId,
+  seatCount: entry.seatCount,
+  status: entry.status,
+  ...(entry.status === 'waiting' && { position }),
+  journey: entry.journey,
+  joinedAt: entry.createdAt,
+  ...(entry.offer?.holdId && {
+    offer: {
+      holdId: entry.offer.holdId,
+      seats: entry.offer.seats,
+      offeredAt: entry.offer.offeredAt,
+      expiresAt: entry.offer.expiresAt
+    }
+  }),
+  bookingId: entry.bookingId
+});
+
+// 1 for the front of the queue
+const getPosition = async (entry) => 1 + await WaitlistEntry.countDocuments({
+  tripId: entry.tripId,
+  status: 'waiting',
+  createdAt: { $lt: entry.createdAt }
+});
+
+const availableSeats = async ({ trip, bus }) => (await seatInventory.getSeatMap(trip.tripId, bus))
+  .filter((seat) => seat.status === 'available')
+  .map((seat) => seat.seatNumber);
+
+// Bring an offered entry up to date with its hold: booked, released, or run out
+const settleOffer = async (entry) => {
+  if (entry.status !== 'offered') return entry;
+
+  if (!entry.offer?.holdId) {
+    if (entry.offer?.offeredAt > new Date(Date.now() - OFFER_SETUP_MS)) return entry;
+
+    // The promotion died before making the hold; the passenger keeps their place
+    const requeued = await WaitlistEntry.findOneAndUpdate(
+      { entryId: entry.entryId, status: 'offered', 'offer.holdId': { $exists: false } },
+      { $set: { status: 'waiting' }, $unset: { offer: 1 } },
+      { new: true }
+    );
+    return requeued || WaitlistEntry.findOne({ entryId: entry.entryId });
+  }
+
+  const hold = await SeatHold.findOne({ holdId: entry.offer.holdId });
+  let status;
+  if (hold && hold.status === 'converted') {
+    status = 'booked';
+  } else if (hold && hold.status === 'released') {
+    status = 'declined';
+  } else if (!hold || hold.status === 'expired' || hold.expiresAt <= new Date()) {
+    status = 'expired';
+  } else {
+    return entry;
+  }
+
+  const settled = await WaitlistEntry.findOneAndUpdate(
+    { entryId: entry.entryId, status: 'offered' },
+    { $set: { status, ...(hold?.bookingId && { bookingId: hold.bookingId }) } },
+    { new: true }
+  );
+  // getHold puts the seats of a lapsed hold back on sale
+  if (status === 'expired' && hold && hold.status === 'active') {
+    await holdService.getHold(hold.holdId, hold.userId);
+  }
+  return settled || WaitlistEntry.findOne({ entryId: entry.entryId });
+};
+
+// Hold seats for an entry and let the passenger know.
+// Returns 'offered', 'taken' if the seats went first, or 'skipped' if another promotion has the entry.
+const makeOffer = async (entry, tripDetails, seats) => {
+  // Claim the entry so two promotions can't both make it an offer
+  const claimed = await WaitlistEntry.findOneAndUpdate(
+    { entryId: entry.entryId, status: 'waiting' },
+    { $set: { status: 'offered', 'offer.offeredAt': new Date() } },
+    { new: true }
+  );
+  if (!claimed) return 'skipped';
+
+  let hold;
+  try {
+    hold = await holdService.createHold({
+      userId: entry.userId,
+      trip: tripDetails.trip,
+      seats,
+      ttlMinutes: waitlistConfig.offerMinutes
+    });
+  } catch (error) {
+    await WaitlistEntry.updateOne(
+      { entryId: entry.entryId, status: 'offered' },
+      { $set: { status: 'waiting' }, $unset: { offer: 1 } }
+    );
+    if (error instanceof SeatConflictError) return 'taken';
+    throw error;
+  }
+
+  const offered = await WaitlistEntry.findOneAndUpdate(
+    { entryId: entry.entryId },
+    { $set: { 'offer.holdId': hold.holdId, 'offer.seats': hold.seats, 'offer.expiresAt': hold.expiresAt } },
+    { new: true }
+  );
+
+  const user = await User.findOne({ id: entry.userId });
+  if (user) {
+    await notificationService.notifyWaitlistOffer(offered, user);
+  }
+  return 'offered';
+};
+
+/**
+ * Offer free seats on a trip to the waitlist, in queue order. An entry asking for more
+ * seats than are free is skipped for one further back that fits.
+ * Never throws: seats freed by a cancellation shouldn't fail the cancellation.
+ * @param {string} tripId - Trip whose seats may have freed up
+ * @returns {Promise<number>} How many offers were made
+ */
+const promoteWaitlist = async (tripId) => {
+  try {
+    const waiting = await WaitlistEntry.find({ tripId, status: 'waiting' })
+      .sort({ createdAt: 1 })
+      .limit(50);
+    if (waiting.length === 0) return 0;
+
+    const tripDetails = await tripCatalog.getTripDetails(tripId);
+    if (!tripDetails || !tripCatalog.isBookable(tripDetails.trip)) {
+      await WaitlistEntry.updateMany({ tripId, status: 'waiting' }, { $set: { status: 'closed' } });
+      return 0;
+    }
+
+    let free = await availableSeats(tripDetails);
+    let offers = 0;
+    for (const entry of waiting) {
+      if (free.length === 0) break;
+      if (entry.seatCount > free.length) continue;
+
+      const seats = free.slice(0, entry.seatCount);
+      const outcome = await makeOffer(entry, tripDetails, seats);
+      if (outcome === 'taken') {
+        // Someone booked the seats in the meantime
+        free = await availableSeats(tripDetails);
+      } else {
+        if (outcome === 'offered') offers += 1;
+        free = free.filter((seat) => !seats.includes(seat));
+      }
+    }
+    return offers;
+  } catch (error) {
+    console.error(`Waitlist promotion for trip ${tripId} error:`, error.message);
+    return 0;
+  }
+};
+
+/**
+ * Join the waitlist of a trip that doesn't have enough free seats.
+ * @param {Object} params
+ * @param {string} params.userId - Passenger joining
+ * @param {string} params.tripId - Trip to wait for
+ * @param {number} params.seatCount - Seats wanted
+ * @returns {Promise<Object>} { entry, position }
+ */
+const joinWaitlist = async ({ userId, tripId, seatCount }) => {
+  if (seatCount > holdConfig.maxSeats) {
+    throw new AppError(`You can wait for at most ${holdConfig.maxSeats} seats`, 400);
+  }
+
+  const tripDetails = await tripCatalog.getTripDetails(tripId);
+  if (!tripDetails) {
+    throw new AppError('Trip not found', 404);
+  }
+  if (!tripCatalog.isBookable(tripDetails.trip)) {
+    throw new AppError('This trip is no longer open for booking', 400);
+  }
+
+  const free = await availableSeats(tripDetails);
+  if (free.length >= seatCount) {
+    throw new AppError(
+      `${free.length} seat(s) are available on this trip; book them instead`,
+      409,
+      { seatsAvailable: free.length },
+      'SEATS_AVAILABLE'
+    );
+  }
+
+  const existing = await WaitlistEntry.findOne({ tripId, userId, status: { $in: WaitlistEntry.OPEN_STATUSES } });
+  if (existing) {
+    throw new AppError('You are already on the waitlist for this trip', 409, undefined, 'ALREADY_WAITLISTED');
+  }
+
+  const { trip, bus, route } = tripDetails;
+  let entry;
+  try {
+    entry = await WaitlistEntry.create({
+      tripId,
+      userId,
+      seatCount,
+      journey: {
+        from: route.from,
+        to: route.to,
+        date: trip.date,
+        departureTime: formatTime(trip.departureAt),
+        busName: bus.busName
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('You are already on the waitlist for this trip', 409, undefined, 'ALREADY_WAITLISTED');
+    }
+    throw error;
+  }
+
+  return { entry, position: await getPosition(entry) };
+};
+
+/**
+ * The passenger's latest waitlist entry for a trip, with their place in the queue.
+ * @returns {Promise<Object>} { entry, position }
+ */
+const getEntry = async ({ userId, tripId }) => {
+  const latest = await WaitlistEntry.findOne({ tripId, userId }).sort({ createdAt: -1 });
+  if (!latest) {
+    throw new AppError('You are not on the waitlist for this trip', 404);
+  }
+
+  const entry = await settleOffer(latest);
+  return { entry, position: entry.status === 'waiting' ? await getPosition(entry) : undefined };
+};
+
+/**
+ * Leave a trip's waitlist. Seats already offered are released and go to the next in line.
+ * @returns {Promise<WaitlistEntry>} The entry, now left
+ */
+const leaveWaitlist = async ({ userId, tripId }) => {
+  const open = await WaitlistEntry.findOne({ tripId, userId, status: { $in: WaitlistEntry.OPEN_STATUSES } });
+  const entry = open && await settleOffer(open);
+  if (!entry || !WaitlistEntry.OPEN_STATUSES.includes(entry.status)) {
+    throw new AppError('You are not on the waitlist for this trip', 404);
+  }
+
+  const wasOffered = entry.status === 'offered';
+  const left = await WaitlistEntry.findOneAndUpdate(
+    { entryId: entry.entryId, status: entry.status },
+    { $set: { status: 'left' } },
+    { new: true }
+  );
+  if (!left) {
+    throw new AppError('Your waitlist entry changed while leaving, please retry', 409);
+  }
+
+  if (wasOffered) {
+    try {
+      await holdService.releaseHold(entry.offer.holdId, userId);
+    } catch (error) {
+      // Already gone
+      if (!(error instanceof AppError)) throw error;
+    }
+    await promoteWaitlist(tripId);
+  }
+
+  return left;
+};
+
+// Note that a hold offered from the waitlist has been booked
+const recordBooking = async (holdId, bookingId) => {
+  await WaitlistEntry.updateOne(
+    { 'offer.holdId': holdId, status: 'offered' },
+    { $set: { status: 'booked', bookingId } }
+  );
+};
+
+// Settle lapsed offers, then offer free seats on every trip with a queue; returns offers made
+const processWaitlists = async () => {
+  const now = new Date();
+  const offered = await WaitlistEntry.find({
+    status: 'offered',
+    $or: [
+      { 'offer.expiresAt': { $lte: now } },
+      { 'offer.expiresAt': { $exists: false }, 'offer.offeredAt': { $lte: new Date(now.getTime() - OFFER_SETUP_MS) } }
+    ]
+  }).limit(100);
+  for (const entry of offered) {
+    await settleOffer(entry);
+  }
+
+  const tripIds = await WaitlistEntry.distinct('tripId', { status: 'waiting' });
+  let offers = 0;
+  for (const tripId of tripIds.slice(0, 50)) {
+    offers += await promoteWaitlist(tripId);
+  }
+  return offers;
+};
+
+module.exports = {
+  toEntrySummary,
+  joinWaitlist,
+  getEntry,
+  leaveWaitlist,
+  promoteWaitlist,
+  recordBooking,
+  processWaitlists
+};
@@ -0,0 +1,48 @@
+// Date/time helpers for schedule data.
+// Trips are stored as absolute Dates; these format them in the operator's timezone
+const TIMEZONE = process.env.APP_TIMEZONE || 'Asia/Kolkata';
+
+const dateFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+const timeFormatter = new Intl.DateTimeFormat('en-GB', {
+  timeZone: TIMEZONE,
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Format a Date as YYYY-MM-DD in the app timezone
+const formatDate = (date) => dateFormatter.format(new Date(date));
+
+// Format a Date as HH:mm in the app timezone
+const formatTime = (date) => timeFormatter.format(new Date(date));
+
+// Format a duration between two Dates as e.g. "8h 30m"
+const formatDuration = (start, end) => {
+  const totalMinutes = Math.max(0, Math.round((new Date(end) - new Date(start)) / 60000));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${hours}h ${minutes}m`;
+};
+
+// Check that a string is a real calendar date in YYYY-MM-DD form
+const isValidDateString = (value) => {
+  if (typeof value !== 'string' || !DATE_REGEX.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+};
+
+module.exports = {
+  TIMEZONE,
+  formatDate,
+  formatTime,
+  formatDuration,
+  isValidDateString
+};
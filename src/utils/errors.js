@@ -0,0 +1,53 @@
+// Machine-readable error codes for each HTTP status, used when an error doesn't name its own
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  402: 'PAYMENT_REQUIRED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'BAD_GATEWAY'
+};
+
+const codeForStatus = (statusCode) => DEFAULT_CODES[statusCode] || (statusCode < 500 ? 'BAD_REQUEST' : 'INTERNAL_ERROR');
+
+// Errors raised on purpose by services (as opposed to unexpected failures).
+// They carry the HTTP status the client should get and are never retried.
+class AppError extends Error {
+  constructor(message, statusCode = 500, details, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code || codeForStatus(statusCode);
+    if (details) {
+      this.details = details;
+    }
+  }
+}
+
+// The request's body, params or query don't match the route's schema.
+// fields: [{ location, field, message }]
+class ValidationError extends AppError {
+  constructor(fields, message = 'Request validation failed') {
+    super(message, 400, undefined, 'VALIDATION_ERROR');
+    this.fields = fields;
+  }
+}
+
+// One or more requested seats are already taken on the trip
+class SeatConflictError extends AppError {
+  constructor(conflictingSeats) {
+    super(`Seats already booked: ${conflictingSeats.join(', ')}`, 409, { conflictingSeats }, 'SEAT_CONFLICT');
+    this.conflictingSeats = conflictingSeats;
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  SeatConflictError,
+  codeForStatus
+};
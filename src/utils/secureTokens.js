@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Random URL-safe token for links and refresh tokens
+const generateToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Tokens are stored only as hashes, so a leaked database can't be used to redeem them
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = {
+  generateToken,
+  hashToken
+};
@@ -0,0 +1,195 @@
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const PromoCode = require('../models/PromoCode');
+const { ROLES } = require('../config/permissions');
+const { id, promoCode } = require('./common');
+
+const SEAT_TYPES = Bus.SEAT_TYPES;
+const TRIP_STATUSES = Trip.schema.path('status').enumValues;
+
+const promoParams = {
+  type: 'object',
+  required: ['promoId'],
+  properties: { promoId: id('Promo code ID') }
+};
+
+// Discount and rules of a promo code; everything but the code itself can be changed later
+const promoRuleProperties = {
+  description: { type: 'string', maxLength: 200 },
+  discountType: { type: 'string', enum: PromoCode.DISCOUNT_TYPES },
+  value: {
+    type: 'number',
+    minimum: 0,
+    exclusiveMinimum: true,
+    description: 'Percentage off the seat fares, or amount off for flat discounts'
+  },
+  minSpend: { type: 'number', minimum: 0, description: 'Seat fares (before tax) the booking must reach' },
+  maxDiscount: { type: 'number', minimum: 0, description: 'Cap on a percentage discount' },
+  validFrom: { type: 'string', format: 'date-time' },
+  validUntil: { type: 'string', format: 'date-time' },
+  usageLimit: { type: 'integer', minimum: 1, description: 'Bookings the code can be used on in total' },
+  perUserLimit: { type: 'integer', minimum: 1, description: 'Bookings each passenger can use the code on' },
+  routeIds: {
+    type: 'array',
+    items: id('Route ID'),
+    maxItems: 100,
+    uniqueItems: true,
+    description: 'Only valid on these routes'
+  },
+  busTypes: {
+    type: 'array',
+    items: { type: 'string', minLength: 1, maxLength: 50 },
+    maxItems: 20,
+    uniqueItems: true,
+    description: 'Only valid on these bus types'
+  },
+  isActive: { type: 'boolean' }
+};
+
+// Request schemas and doc summaries for admin routes
+module.exports = {
+  listUsers: {
+    summary: 'List users',
+    query: {
+      type: 'object',
+      properties: {
+        role: { type: 'string', enum: ROLES },
+        limit: { type: 'integer', minimum: 1, maximum: 100 },
+        skip: { type: 'integer', minimum: 0 }
+      }
+    }
+  },
+
+  updateUserRole: {
+    summary: 'Change a user\'s role',
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: { id: id('User ID') }
+    },
+    body: {
+      type: 'object',
+      required: ['role'],
+      properties: { role: { type: 'string', enum: ROLES } }
+    }
+  },
+
+  createBus: {
+    summary: 'Add a bus',
+    status: 201,
+    body: {
+      type: 'object',
+      required: ['busName', 'busType', 'totalSeats'],
+      properties: {
+        busName: { type: 'string', minLength: 1, maxLength: 100 },
+        busType: { type: 'string', minLength: 1, maxLength: 50 },
+        operatorName: { type: 'string', minLength: 1, maxLength: 100 },
+        registrationNumber: { type: 'string', maxLength: 20 },
+        rating: { type: 'number', minimum: 0, maximum: 5 },
+        amenities: { type: 'array', items: { type: 'string', maxLength: 50 }, maxItems: 30 },
+        totalSeats: { type: 'integer', minimum: 1, maximum: 100 },
+        seatLayout: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['seatNumber'],
+            properties: {
+              seatNumber: { type: 'string', minLength: 1, maxLength: 10 },
+              seatType: { type: 'string', enum: SEAT_TYPES }
+            }
+          },
+          maxItems: 100
+        },
+        defaultSeatType: { type: 'string', enum: SEAT_TYPES }
+      }
+    }
+  },
+
+  createRoute: {
+    summary: 'Add a route',
+    status: 201,
+    body: {
+      type: 'object',
+      required: ['from', 'to'],
+      properties: {
+        from: { type: 'string', minLength: 1, maxLength: 100 },
+        to: { type: 'string', minLength: 1, maxLength: 100 },
+        distanceKm: { type: 'number', minimum: 0 }
+      }
+    }
+  },
+
+  createTrip: {
+    summary: 'Schedule a trip',
+    status: 201,
+    body: {
+      type: 'object',
+      required: ['busId', 'routeId', 'departureAt', 'arrivalAt', 'baseFare'],
+      properties: {
+        busId: id('Bus ID'),
+        routeId: id('Route ID'),
+        departureAt: { type: 'string', format: 'date-time' },
+        arrivalAt: { type: 'string', format: 'date-time' },
+        baseFare: { type: 'number', minimum: 0 }
+      }
+    }
+  },
+
+  updateTripStatus: {
+    summary: 'Change a trip\'s status',
+    params: {
+      type: 'object',
+      required: ['tripId'],
+      properties: { tripId: id('Trip ID') }
+    },
+    body: {
+      type: 'object',
+      required: ['status'],
+      properties: { status: { type: 'string', enum: TRIP_STATUSES } }
+    }
+  },
+
+  createPromoCode: {
+    summary: 'Create a promo code',
+    status: 201,
+    body: {
+      type: 'object',
+      required: ['code', 'discountType', 'value'],
+      properties: {
+        code: promoCode,
+        ...promoRuleProperties
+      }
+    }
+  },
+
+  listPromoCodes: {
+    summary: 'List promo codes',
+    query: {
+      type: 'object',
+      properties: {
+        active: { type: 'boolean', description: 'Only active or only inactive codes' },
+        limit: { type: 'integer', minimum: 1, maximum: 100 },
+        skip: { type: 'integer', minimum: 0 }
+      }
+    }
+  },
+
+  getPromoCode: {
+    summary: 'Get a promo code',
+    params: promoParams
+  },
+
+  updatePromoCode: {
+    summary: 'Change a promo code\'s discount or rules',
+    params: promoParams,
+    body: {
+      type: 'object',
+      properties: promoRuleProperties
+    }
+  },
+
+  deletePromoCode: {
+    summary: 'Delete a promo code',
+    params: promoParams
+  }
+};
@@ -0,0 +1,110 @@
+const { email, password, name, phone, token } = require('./common');
+
+// Request schemas and doc summaries for auth routes
+module.exports = {
+  signup: {
+    summary: 'Create an account and start a session',
+    status: 201,
+    body: {
+      type: 'object',
+      required: ['name', 'email', 'password'],
+      properties: { name, email, password }
+    }
+  },
+
+  login: {
+    summary: 'Log in and get access and refresh tokens',
+    body: {
+      type: 'object',
+      required: ['email', 'password'],
+      // Any password can be tried here; the length rules apply when it is set
+      properties: { email, password: { type: 'string', minLength: 1, maxLength: 128 } }
+    }
+  },
+
+  refresh: {
+    summary: 'Exchange a refresh token for a new token pair',
+    body: {
+      type: 'object',
+      required: ['refreshToken'],
+      properties: { refreshToken: token('Refresh token from login, signup or a previous refresh') }
+    }
+  },
+
+  forgotPassword: {
+    summary: 'Email a password reset link',
+    body: {
+      type: 'object',
+      required: ['email'],
+      properties: { email }
+    }
+  },
+
+  resetPassword: {
+    summary: 'Set a new password with a reset token',
+    body: {
+      type: 'object',
+      required: ['token', 'password'],
+      properties: { token: token('Token from the reset link'), password }
+    }
+  },
+
+  verifyEmail: {
+    summary: 'Confirm an email address',
+    body: {
+      type: 'object',
+      required: ['token'],
+      properties: { token: token('Token from the verification link') }
+    }
+  },
+
+  logout: {
+    summary: 'End the current session'
+  },
+
+  getProfile: {
+    summary: 'Get the current user\'s profile'
+  },
+
+  exportData: {
+    summary: 'Download all of the current user\'s data as JSON'
+  },
+
+  resendVerification: {
+    summary: 'Send another verification email'
+  },
+
+  updateProfile: {
+    summary: 'Update name and/or phone',
+    body: {
+      type: 'object',
+      properties: {
+        name,
+        // An empty string clears the phone number
+        phone: { ...phone, pattern: '^(\\+?[0-9\\s()-]{10,20})?$' }
+      },
+      anyOf: [{ required: ['name'] }, { required: ['phone'] }]
+    }
+  },
+
+  changePassword: {
+    summary: 'Change password (signs out other sessions)',
+    body: {
+      type: 'object',
+      required: ['currentPassword', 'newPassword'],
+      properties: {
+        currentPassword: { type: 'string', minLength: 1, maxLength: 128 },
+        newPassword: password
+      }
+    }
+  },
+
+  deleteAccount: {
+    summary: 'Delete the account and anonymise past bookings',
+    body: {
+      type: 'object',
+      required: ['password'],
+      properties: { password: { type: 'string', minLength: 1, maxLength: 128, description: 'Current password, to confirm' } }
+    }
+  }
+};
@@ -0,0 +1,182 @@
+const Booking = require('../models/Booking');
+const { SORT_FIELDS, DEFAULT_LIMIT, MAX_LIMIT } = require('../services/bookingHistory');
+const { id, name, phone, seatList, promoCode } = require('./common');
+
+const BOOKING_STATUSES = Booking.schema.path('status').enumValues;
+
+const bookingParams = {
+  type: 'object',
+  required: ['bookingId'],
+  properties: { bookingId: id('Booking ID') }
+};
+
+// Who travels in each seat
+const passengerList = (description) => ({
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['seatNumber', 'name', 'age', 'gender'],
+    properties: {
+      seatNumber: { type: 'string', minLength: 1, maxLength: 10 },
+      name,
+      age: { type: 'integer', minimum: 0, maximum: 120 },
+      gender: { type: 'string', enum: Booking.GENDERS },
+      idDocument: {
+        type: 'object',
+        required: ['type', 'number'],
+        properties: {
+          type: { type: 'string', enum: Booking.ID_DOCUMENT_TYPES },
+          number: { type: 'string', pattern: '^[A-Za-z0-9 -]{4,30}$', 'x-patternMessage': 'must be a valid document number' }
+        },
+        description: 'Photo ID the passenger will carry'
+      }
+    }
+  },
+  minItems: 1,
+  maxItems: 50,
+  description
+});
+
+// Passenger, contact, promo code and price fields shared by direct and hold bookings
+const bookingContactProperties = {
+  passengers: passengerList('One passenger per seat'),
+  passengerDetails: {
+    type: 'object',
+    properties: { name, phone },
+    description: 'Contact details for the booking; default to the account\'s'
+  },
+  phone,
+  promoCode,
+  totalAmount: {
+    type: 'number',
+    minimum: 0,
+    exclusiveMinimum: true,
+    description: 'Total from the fare quote; must match the server\'s fare'
+  },
+  bookingTime: { type: 'string', format: 'date-time' }
+};
+
+// Filters, sort and cursor for a page of booking history
+const historyQuery = {
+  type: 'object',
+  properties: {
+    timeframe: {
+      type: 'string',
+      enum: ['upcoming', 'past'],
+      description: 'Only journeys that have not departed yet, or only ones that have'
+    },
+    dateFrom: { type: 'string', format: 'date', description: 'Earliest journey date (YYYY-MM-DD)' },
+    dateTo: { type: 'string', format: 'date', description: 'Latest journey date (YYYY-MM-DD)' },
+    from: { type: 'string', minLength: 1, maxLength: 100, description: 'Departure city' },
+    to: { type: 'string', minLength: 1, maxLength: 100, description: 'Destination city' },
+    status: {
+      type: 'array',
+      items: { type: 'string', enum: BOOKING_STATUSES },
+      minItems: 1,
+      uniqueItems: true,
+      description: 'Comma-separated booking statuses'
+    },
+    sortBy: { type: 'string', enum: Object.keys(SORT_FIELDS), default: 'bookingTime' },
+    order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT },
+    cursor: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 1024,
+      description: 'nextCursor or prevCursor from a previous page, with the same sortBy and order'
+    }
+  }
+};
+
+// Request schemas and doc summaries for booking routes
+module.exports = {
+  bookingContactProperties,
+
+  bookTicket: {
+    summary: 'Book a ticket',
+    status: 201,
+    body: {
+      type: 'object',
+      required: ['totalAmount'],
+      properties: {
+        tripId: id('Trip ID'),
+        holdId: id('Hold ID to book instead of tripId and selectedSeats'),
+        selectedSeats: seatList(),
+        ...bookingContactProperties
+      },
+      // A hold already carries its trip and seats
+      anyOf: [{ required: ['tripId', 'selectedSeats'] }, { required: ['holdId'] }]
+    }
+  },
+
+  getMyBookings: {
+    summary: 'Get the current user\'s booking history',
+    query: historyQuery
+  },
+
+  getBookingHistory: {
+    summary: 'Get a user\'s booking history (owner or admin)',
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: { id: id('User ID') }
+    },
+    query: historyQuery
+  },
+
+  getBooking: {
+    summary: 'Get a booking (owner or admin)',
+    params: bookingParams
+  },
+
+  payForBooking: {
+    summary: 'Pay for a booking waiting for payment',
+    params: bookingParams,
+    body: {
+      type: 'object',
+      required: ['paymentMethod'],
+      properties: {
+        paymentMethod: {
+          type: 'string',
+          minLength: 1,
+          maxLength: 255,
+          description: 'Payment method from the payment provider (mock provider: pm_mock_success, '
+            + 'pm_mock_declined, pm_mock_insufficient_funds or pm_mock_capture_fails)'
+        }
+      }
+    }
+  },
+
+  getTicketPdf: {
+    summary: 'Download the e-ticket PDF (owner or admin)',
+    produces: 'application/pdf',
+    params: bookingParams
+  },
+
+  cancelBooking: {
+    summary: 'Cancel a booking or some of its seats',
+    params: bookingParams,
+    body: {
+      type: 'object',
+      properties: {
+        seats: seatList('Seats to cancel; the whole booking if omitted'),
+        reason: { type: 'string', maxLength: 500 }
+      }
+    }
+  },
+
+  modifyBooking: {
+    summary: 'Change the trip or seats of a booking',
+    params: bookingParams,
+    body: {
+      type: 'object',
+      properties: {
+        tripId: id('Trip to move the booking to'),
+        seats: seatList('New seats'),
+        passengers: passengerList('Passengers for the new seats; moved from the old seats if omitted'),
+        dryRun: { type: 'boolean', description: 'Only quote the change' }
+      },
+      anyOf: [{ required: ['tripId'] }, { required: ['seats'] }]
+    }
+  }
+};
@@ -0,0 +1,53 @@
+const User = require('../models/User');
+
+// Schema fragments shared by several routes
+
+const email = { type: 'string', format: 'email', maxLength: 254, description: 'Email address' };
+
+const password = {
+  type: 'string',
+  minLength: User.schema.path('password').options.minlength[0],
+  maxLength: 128,
+  description: 'Password'
+};
+
+const name = { type: 'string', minLength: 2, maxLength: 50, description: 'Full name' };
+
+// 10-15 digits, with an optional leading + and spaces, dashes or brackets between them
+const phone = {
+  type: 'string',
+  pattern: '^\\+?(?:[\\s()-]*\\d){10,15}[\\s()-]*$',
+  'x-patternMessage': 'must be a valid phone number',
+  description: 'Phone number'
+};
+
+const id = (description) => ({ type: 'string', minLength: 1, maxLength: 100, description });
+
+const seatList = (description = 'Seat numbers') => ({
+  type: 'array',
+  items: { type: 'string', minLength: 1, maxLength: 10 },
+  minItems: 1,
+  maxItems: 50,
+  uniqueItems: true,
+  description
+});
+
+const promoCode = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9_-]{3,30}$',
+  'x-patternMessage': 'must be 3-30 letters, digits, dashes or underscores',
+  description: 'Promo code (case-insensitive)'
+};
+
+const token = (description) => ({ type: 'string', minLength: 1, maxLength: 2048, description });
+
+module.exports = {
+  email,
+  password,
+  name,
+  phone,
+  id,
+  seatList,
+  promoCode,
+  token
+};
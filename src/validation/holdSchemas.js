@@ -0,0 +1,48 @@
+const { id, seatList } = require('./common');
+const bookingSchemas = require('./bookingSchemas');
+
+const holdParams = {
+  type: 'object',
+  required: ['holdId'],
+  properties: { holdId: id('Hold ID') }
+};
+
+// Request schemas and doc summaries for hold routes
+module.exports = {
+  createHold: {
+    summary: 'Hold seats during checkout',
+    status: 201,
+    body: {
+      type: 'object',
+      required: ['tripId', 'seats'],
+      properties: { tripId: id('Trip ID'), seats: seatList() }
+    }
+  },
+
+  getHold: {
+    summary: 'Get hold status and expiry',
+    params: holdParams
+  },
+
+  extendHold: {
+    summary: 'Extend a hold',
+    params: holdParams
+  },
+
+  releaseHold: {
+    summary: 'Release a hold early',
+    params: holdParams
+  },
+
+  // Same body as booking a ticket, but the hold supplies the trip and seats
+  bookHold: {
+    summary: 'Book the seats of a hold',
+    status: 201,
+    params: holdParams,
+    body: {
+      type: 'object',
+      required: ['totalAmount'],
+      properties: bookingSchemas.bookingContactProperties
+    }
+  }
+};
@@ -0,0 +1,12 @@
+// Request schemas and doc summaries for payment routes
+module.exports = {
+  // The body is the provider's event; its signature header is checked instead of a schema
+  handleWebhook: {
+    summary: 'Receive a payment provider webhook',
+    params: {
+      type: 'object',
+      required: ['provider'],
+      properties: { provider: { type: 'string', minLength: 1, maxLength: 50, description: 'Payment provider name' } }
+    }
+  }
+};
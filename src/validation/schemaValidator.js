@@ -0,0 +1,178 @@
+const { isValidDateString } = require('../utils/dateTime');
+
+// Validates values against route schemas. Schemas are a subset of JSON Schema (as used
+// by OpenAPI 3.0) so the same objects can be published in the API spec:
+// type, enum, required, properties, additionalProperties: false, items, minItems,
+// maxItems, uniqueItems, minLength, maxLength, pattern, format, minimum, maximum,
+// exclusiveMinimum and anyOf.
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const formats = {
+  email: (value) => EMAIL_REGEX.test(value),
+  date: isValidDateString,
+  'date-time': (value) => !Number.isNaN(Date.parse(value)),
+  uuid: (value) => UUID_REGEX.test(value)
+};
+
+const formatMessages = {
+  email: 'must be a valid email',
+  date: 'must be a date in YYYY-MM-DD format',
+  'date-time': 'must be an ISO 8601 date-time',
+  uuid: 'must be a UUID'
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+// Params and query strings arrive as text; turn them into the type the schema asks for
+const coerceFromString = (schema, value) => {
+  if (typeof value !== 'string') return value;
+
+  switch (schema.type) {
+    case 'number':
+    case 'integer': {
+      const number = Number(value);
+      return value.trim() !== '' && !Number.isNaN(number) ? number : value;
+    }
+    case 'boolean':
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      return value;
+    case 'array':
+      // ?seats=1,2,3
+      return value.split(',').map((item) => item.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+};
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+const describeAnyOf = (schemas) => {
+  const requiredOnly = schemas.every((entry) => entry.required && Object.keys(entry).length === 1);
+  if (!requiredOnly) return 'does not match any allowed shape';
+  return `must include ${schemas.map((entry) => entry.required.join(' and ')).join(' or ')}`;
+};
+
+/**
+ * Check a value against a schema.
+ * @param {Object} schema - Schema to check against
+ * @param {*} value - Value to check
+ * @param {Object} options
+ * @param {string} options.location - Where the value came from: body, params or query
+ * @param {boolean} [options.coerce=false] - Convert strings to the schema's type first
+ * @param {string} [path=''] - Field path of the value, for error messages
+ * @returns {Object} { value, errors } with the (possibly coerced) value and [{ location, field, message }]
+ */
+const validateValue = (schema, value, options, path = '') => {
+  const errors = [];
+  const fail = (message, field = path) => errors.push({ location: options.location, field: field || options.location, message });
+
+  if (options.coerce) {
+    value = coerceFromString(schema, value);
+  }
+  // Seat numbers and ids are strings, but clients often send them as numbers
+  if (schema.type === 'string' && typeof value === 'number') {
+    value = String(value);
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    fail(`must be ${schema.type === 'array' || schema.type === 'integer' ? 'an' : 'a'} ${schema.type}`);
+    return { value, errors };
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(schema['x-patternMessage'] || `must match ${schema.pattern}`);
+    }
+    if (schema.format && formats[schema.format] && !formats[schema.format](value)) {
+      fail(formatMessages[schema.format]);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined) {
+      const tooSmall = schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum;
+      if (tooSmall) fail(`must be ${schema.exclusiveMinimum ? 'greater than' : 'at least'} ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value = value.map((item, index) => {
+        const result = validateValue(schema.items, item, { ...options, coerce: false }, `${path}[${index}]`);
+        errors.push(...result.errors);
+        return result.value;
+      });
+    }
+    if (schema.uniqueItems && new Set(value.map((item) => JSON.stringify(item))).size !== value.length) {
+      fail('must not contain duplicates');
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    value = { ...value };
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        fail('is required', joinPath(path, key));
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      if (value[key] === undefined || value[key] === null) continue;
+
+      const result = validateValue(propertySchema, value[key], options, joinPath(path, key));
+      errors.push(...result.errors);
+      value[key] = result.value;
+    }
+
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!properties[key]) fail('is not allowed', joinPath(path, key));
+      }
+    }
+  }
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some((entry) => validateValue(entry, value, options, path).errors.length === 0);
+    if (!matched) fail(describeAnyOf(schema.anyOf));
+  }
+
+  return { value, errors };
+};
+
+module.exports = {
+  validateValue
+};
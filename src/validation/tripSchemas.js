@@ -0,0 +1,94 @@
+const { id, seatList, promoCode, token } = require('./common');
+const holdConfig = require('../config/holds');
+
+const tripParams = {
+  type: 'object',
+  required: ['tripId'],
+  properties: { tripId: id('Trip ID') }
+};
+
+// Request schemas and doc summaries for trip routes
+module.exports = {
+  searchTrips: {
+    summary: 'Search scheduled trips between two cities',
+    query: {
+      type: 'object',
+      required: ['from', 'to', 'date'],
+      properties: {
+        from: { type: 'string', minLength: 1, maxLength: 100, description: 'Departure city' },
+        to: { type: 'string', minLength: 1, maxLength: 100, description: 'Destination city' },
+        date: { type: 'string', format: 'date', description: 'Travel date (YYYY-MM-DD)' }
+      }
+    }
+  },
+
+  getTrip: {
+    summary: 'Get a trip with fare and seats left',
+    params: tripParams
+  },
+
+  getSeatMap: {
+    summary: 'Get seat availability for a trip',
+    params: tripParams
+  },
+
+  getFareQuote: {
+    summary: 'Quote the fare for seats on a trip',
+    params: tripParams,
+    query: {
+      type: 'object',
+      required: ['seats'],
+      properties: {
+        seats: seatList('Comma-separated seat numbers'),
+        promoCode
+      }
+    }
+  },
+
+  joinWaitlist: {
+    summary: 'Join the waitlist of a sold-out trip',
+    status: 201,
+    params: tripParams,
+    body: {
+      type: 'object',
+      required: ['seats'],
+      properties: {
+        seats: {
+          type: 'integer',
+          minimum: 1,
+          maximum: holdConfig.maxSeats,
+          description: 'Number of seats wanted'
+        }
+      }
+    }
+  },
+
+  getWaitlistEntry: {
+    summary: 'Get your waitlist position or seat offer',
+    params: tripParams
+  },
+
+  leaveWaitlist: {
+    summary: 'Leave the waitlist',
+    params: tripParams
+  },
+
+  checkIn: {
+    summary: 'Check a passenger in at boarding',
+    params: tripParams,
+    body: {
+      type: 'object',
+      properties: {
+        ticket: token('Signed token from the ticket\'s QR code'),
+        bookingId: id('Booking ID, when there is no ticket to scan'),
+        seats: seatList('Seats boarding now; every seat not yet boarded if omitted')
+      },
+      anyOf: [{ required: ['ticket'] }, { required: ['bookingId'] }]
+    }
+  },
+
+  getManifest: {
+    summary: 'Get the boarding manifest for a trip',
+    params: tripParams
+  }
+};